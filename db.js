@@ -0,0 +1,27 @@
+// Entry points (server.js, migrate.js, retention.js) load .env; this module
+// only reads process.env.
+const { Pool } = require('pg');
+
+const DEFAULT_POOL_OPTS = {
+  user: process.env.DB_USER || 'clinic',
+  host: process.env.DB_HOST || 'localhost',
+  database: process.env.DB_NAME || 'clinicdb',
+  password: process.env.DB_PASSWORD || 'clinicpass',
+  port: Number(process.env.DB_PORT) || 5432,
+};
+
+function createPool() {
+  return new Pool(
+    process.env.DATABASE_URL
+      ? {
+          connectionString: process.env.DATABASE_URL,
+          ssl:
+            process.env.DB_SSL === 'require'
+              ? { rejectUnauthorized: false }
+              : undefined,
+        }
+      : DEFAULT_POOL_OPTS
+  );
+}
+
+module.exports = { createPool };
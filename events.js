@@ -0,0 +1,106 @@
+// Real-time queue events shared between server instances. Routes publish an
+// event with NOTIFY inside the transaction that made the change, so it is only
+// delivered if that transaction commits. Every instance (the publisher
+// included) LISTENs on the channel and relays events to its own sockets.
+
+const { logger, currentRequestId, withLogContext } = require('./logger');
+
+const CHANNEL = 'queue_events';
+const RECONNECT_DELAY_MS = 2000;
+// NOTIFY payloads are limited to 8000 bytes; events carry ids, never rows.
+const MAX_PAYLOAD_BYTES = 7900;
+
+// The publishing request's ID travels with the event, so the relay on every
+// instance logs under the same ID.
+async function publishEvent(client, event) {
+  const payload = JSON.stringify({ ...event, request_id: currentRequestId() });
+  if (Buffer.byteLength(payload) > MAX_PAYLOAD_BYTES) {
+    throw new Error(`Queue event "${event.type}" is too large to publish`);
+  }
+  await client.query('SELECT pg_notify($1, $2)', [CHANNEL, payload]);
+}
+
+// Holds one pool connection open for LISTEN and passes each event to
+// `handler`, one at a time and in commit order. While the connection is down
+// events are lost, so `onReconnect` runs after it comes back to let the
+// caller resynchronise its clients.
+function startEventListener(pool, { handler, onReconnect = () => {} }) {
+  let client = null;
+  let retryTimer = null;
+  let stopped = false;
+  let chain = Promise.resolve();
+
+  const deliver = (message) => {
+    let event;
+    try {
+      event = JSON.parse(message.payload);
+    } catch (error) {
+      logger.error('Ignoring malformed queue event', { error });
+      return;
+    }
+    const { request_id: requestId, ...queueEvent } = event;
+    chain = chain
+      .then(() => withLogContext({ request_id: requestId }, () => handler(queueEvent)))
+      .catch((error) => {
+        withLogContext({ request_id: requestId }, () => {
+          logger.error('Queue event relay error', { event: queueEvent.type, error });
+        });
+      });
+  };
+
+  const disconnect = () => {
+    if (client) {
+      client.removeListener('notification', deliver);
+      // Passing true makes the pool discard the connection instead of reusing it.
+      client.release(true);
+      client = null;
+    }
+  };
+
+  const scheduleReconnect = () => {
+    disconnect();
+    if (!stopped && !retryTimer) {
+      retryTimer = setTimeout(() => {
+        retryTimer = null;
+        connect(true);
+      }, RECONNECT_DELAY_MS);
+      retryTimer.unref();
+    }
+  };
+
+  const connect = async (isReconnect) => {
+    try {
+      const listener = await pool.connect();
+      client = listener;
+      listener.on('notification', deliver);
+      listener.on('error', (error) => {
+        logger.error('Queue event listener error', { error });
+        if (client === listener) {
+          scheduleReconnect();
+        }
+      });
+      await listener.query(`LISTEN ${CHANNEL}`);
+      if (isReconnect) {
+        chain = chain.then(onReconnect).catch((error) => {
+          logger.error('Queue event resync error', { error });
+        });
+      }
+    } catch (error) {
+      logger.error('Queue event listener connection error', { error });
+      scheduleReconnect();
+    }
+  };
+
+  connect(false);
+
+  return () => {
+    stopped = true;
+    clearTimeout(retryTimer);
+    disconnect();
+  };
+}
+
+module.exports = {
+  publishEvent,
+  startEventListener,
+};
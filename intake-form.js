@@ -0,0 +1,272 @@
+// Intake form schema. The kiosk renders one step per field, in order, and
+// /api/checkin validates against the same list. Built-in fields map to token
+// columns the rest of the app relies on; any other field is answered into
+// tokens.answers.
+
+const FIELD_TYPES = ['text', 'textarea', 'number', 'date', 'phone', 'country', 'select', 'multiselect'];
+const CHOICE_TYPES = ['select', 'multiselect'];
+const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+const LANGUAGE_PATTERN = /^[a-z]{2,3}$/;
+const MAX_FIELDS = 30;
+const MAX_OPTIONS = 50;
+const MAX_LABEL_LENGTH = 200;
+const MAX_ANSWER_LENGTH = 1000;
+
+// Built-in keys keep their type. Identity and contact fields cannot be made
+// optional or removed: patients, notifications and reports depend on them.
+const BUILTIN_FIELDS = {
+  name: { type: 'text', required: true },
+  birth_date: { type: 'date', required: true },
+  country: { type: 'country', required: true },
+  phone: { type: 'phone', required: true },
+  sex: { type: 'select', required: false },
+  details: { type: 'textarea', required: false },
+};
+
+// The form as it was before it became configurable. Built-in labels come
+// from the kiosk's own translations.
+const DEFAULT_FIELDS = [
+  { key: 'name', type: 'text', required: true },
+  { key: 'birth_date', type: 'date', required: true },
+  { key: 'country', type: 'country', required: true },
+  { key: 'phone', type: 'phone', required: true },
+  {
+    key: 'sex',
+    type: 'select',
+    required: true,
+    options: [
+      { value: 'Female' },
+      { value: 'Male' },
+      { value: 'Other' },
+      { value: 'Prefer not to say' },
+    ],
+  },
+  { key: 'details', type: 'textarea', required: false },
+];
+
+// A label is either plain text or translations keyed by language code.
+function normalizeLabel(value, what) {
+  if (value === undefined || value === null || value === '') {
+    return { value: undefined };
+  }
+
+  if (typeof value === 'string') {
+    const text = value.trim();
+    return text.length <= MAX_LABEL_LENGTH
+      ? { value: text || undefined }
+      : { error: `${what} must be ${MAX_LABEL_LENGTH} characters or fewer` };
+  }
+
+  if (typeof value === 'object' && !Array.isArray(value)) {
+    const translations = {};
+    for (const [language, text] of Object.entries(value)) {
+      if (!LANGUAGE_PATTERN.test(language) || typeof text !== 'string') {
+        return { error: `${what} translations must map language codes to text` };
+      }
+      if (text.trim().length > MAX_LABEL_LENGTH) {
+        return { error: `${what} must be ${MAX_LABEL_LENGTH} characters or fewer` };
+      }
+      if (text.trim()) {
+        translations[language] = text.trim();
+      }
+    }
+    return { value: Object.keys(translations).length ? translations : undefined };
+  }
+
+  return { error: `${what} must be text or an object of translations` };
+}
+
+function normalizeOptions(options, key) {
+  if (!Array.isArray(options) || !options.length || options.length > MAX_OPTIONS) {
+    return { error: `Field "${key}" needs between 1 and ${MAX_OPTIONS} options` };
+  }
+
+  const seen = new Set();
+  const normalized = [];
+  for (const option of options) {
+    const raw = typeof option === 'string' ? { value: option } : option || {};
+    const value = typeof raw.value === 'string' ? raw.value.trim() : '';
+    if (!value || value.length > MAX_LABEL_LENGTH) {
+      return { error: `Field "${key}" has an option without a valid value` };
+    }
+    if (seen.has(value)) {
+      return { error: `Field "${key}" lists option "${value}" twice` };
+    }
+    seen.add(value);
+
+    const label = normalizeLabel(raw.label, `Option "${value}" label`);
+    if (label.error) {
+      return { error: label.error };
+    }
+    normalized.push(label.value ? { value, label: label.value } : { value });
+  }
+  return { value: normalized };
+}
+
+// Checks an admin-supplied field list and returns a clean copy, or the first
+// problem found as `error`.
+function validateFormFields(input) {
+  if (!Array.isArray(input) || !input.length || input.length > MAX_FIELDS) {
+    return { error: `"fields" must be a list of 1 to ${MAX_FIELDS} fields` };
+  }
+
+  const fields = [];
+  const keys = new Set();
+
+  for (const raw of input) {
+    if (!raw || typeof raw !== 'object') {
+      return { error: 'Each field must be an object' };
+    }
+
+    const key = String(raw.key || '').trim();
+    if (!FIELD_KEY_PATTERN.test(key)) {
+      return { error: `Invalid field key "${key}": use lowercase letters, digits and _` };
+    }
+    if (keys.has(key)) {
+      return { error: `Field "${key}" appears twice` };
+    }
+    keys.add(key);
+
+    const builtin = BUILTIN_FIELDS[key];
+    const type = builtin ? builtin.type : raw.type;
+    if (!FIELD_TYPES.includes(type)) {
+      return { error: `Field "${key}" has unknown type "${raw.type}"` };
+    }
+    if (builtin && raw.type !== undefined && raw.type !== builtin.type) {
+      return { error: `Built-in field "${key}" must keep type "${builtin.type}"` };
+    }
+
+    const required = builtin && builtin.required ? true : raw.required === true;
+    if (builtin && builtin.required && raw.required === false) {
+      return { error: `Built-in field "${key}" is always required` };
+    }
+
+    const field = { key, type, required };
+
+    for (const property of ['label', 'hint']) {
+      const label = normalizeLabel(raw[property], `Field "${key}" ${property}`);
+      if (label.error) {
+        return { error: label.error };
+      }
+      if (label.value) {
+        field[property] = label.value;
+      }
+    }
+
+    if (!builtin && !field.label) {
+      return { error: `Field "${key}" needs a label` };
+    }
+
+    if (CHOICE_TYPES.includes(type)) {
+      const options = normalizeOptions(raw.options, key);
+      if (options.error) {
+        return { error: options.error };
+      }
+      field.options = options.value;
+    }
+
+    fields.push(field);
+  }
+
+  const missing = Object.keys(BUILTIN_FIELDS).filter(
+    (key) => BUILTIN_FIELDS[key].required && !keys.has(key)
+  );
+  if (missing.length) {
+    return { error: `The form must include: ${missing.join(', ')}` };
+  }
+
+  return { fields };
+}
+
+function isBlank(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    (typeof value === 'string' && !value.trim()) ||
+    (Array.isArray(value) && !value.length)
+  );
+}
+
+function isIsoDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) {
+    return false;
+  }
+  const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  return date.getUTCMonth() === +match[2] - 1 && date.getUTCDate() === +match[3];
+}
+
+// Returns the cleaned answer, or undefined when it does not fit the field.
+function normalizeAnswer(field, value) {
+  const values = (field.options || []).map((option) => option.value);
+
+  switch (field.type) {
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      return Number.isFinite(number) ? number : undefined;
+    }
+    case 'date': {
+      const text = String(value).trim();
+      return isIsoDate(text) ? text : undefined;
+    }
+    case 'select':
+      return typeof value === 'string' && values.includes(value.trim()) ? value.trim() : undefined;
+    case 'multiselect':
+      return Array.isArray(value) && value.every((item) => values.includes(item))
+        ? [...new Set(value)]
+        : undefined;
+    default: {
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        return undefined;
+      }
+      const text = String(value).trim();
+      return text.length <= MAX_ANSWER_LENGTH ? text : undefined;
+    }
+  }
+}
+
+// Validates a single choice field such as the built-in `sex`. Blank is fine
+// for optional fields; a missing field accepts only blank.
+function isValidChoice(field, value) {
+  if (isBlank(value)) {
+    return !field || !field.required;
+  }
+  return Boolean(field) && normalizeAnswer(field, value) !== undefined;
+}
+
+// Checks the answers to the custom (non built-in) fields. Unknown keys are
+// dropped. Returns `{ answers }` or `{ field }` naming the first bad answer.
+function validateAnswers(fields, input) {
+  const given = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+  const answers = {};
+
+  for (const field of fields) {
+    if (BUILTIN_FIELDS[field.key]) {
+      continue;
+    }
+
+    const value = given[field.key];
+    if (isBlank(value)) {
+      if (field.required) {
+        return { field: field.key };
+      }
+      continue;
+    }
+
+    const normalized = normalizeAnswer(field, value);
+    if (normalized === undefined) {
+      return { field: field.key };
+    }
+    answers[field.key] = normalized;
+  }
+
+  return { answers };
+}
+
+module.exports = {
+  BUILTIN_FIELDS,
+  DEFAULT_FIELDS,
+  validateFormFields,
+  validateAnswers,
+  isValidChoice,
+};
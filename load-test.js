@@ -1,5 +1,6 @@
 #!/usr/bin/env node
 
+const fs = require('node:fs');
 const { performance } = require('node:perf_hooks');
 
 const DEFAULT_TARGET = 'https://free-medical-service.onrender.com/api/checkin';
@@ -7,6 +8,16 @@ const DEFAULT_REQUESTS = 100;
 const DEFAULT_CONCURRENCY = 10;
 const DEFAULT_TIMEOUT_MS = 10000;
 
+// checkin: anonymous check-ins only. staff: check-ins mixed with admit, next
+// and remove as a logged-in desk user. fanout: check in and admit while
+// display clients measure how long the update takes to reach them.
+const SCENARIOS = ['checkin', 'staff', 'fanout'];
+const STAFF_OPERATIONS = ['checkin', 'admit', 'next', 'remove'];
+const DEFAULT_MIX = 'checkin=50,admit=20,next=15,remove=15';
+const DEFAULT_FANOUT_CLIENTS = 50;
+// How long to wait after the last request for display updates still in flight.
+const DELIVERY_WAIT_MS = 5000;
+
 const firstNames = [
   'Alex',
   'Jordan',
@@ -197,29 +208,37 @@ function percentile(sortedValues, p) {
   return sortedValues[Math.max(0, Math.min(sortedValues.length - 1, index))];
 }
 
-async function makeRequest(target, timeoutMs) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+function summarizeLatencies(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  if (!sorted.length) {
+    return null;
+  }
 
-  const payload = {
-    name: randomName(),
-    age: randomAge(),
-    country: randomCountry(),
-    details: randomDetails(),
-    sex: randomSex(),
-    phone: randomPhone(),
+  const round = (value) => Number(value.toFixed(2));
+  const avg = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+  return {
+    min: round(sorted[0]),
+    p50: round(percentile(sorted, 50)),
+    p90: round(percentile(sorted, 90)),
+    p95: round(percentile(sorted, 95)),
+    p99: round(percentile(sorted, 99)),
+    max: round(sorted[sorted.length - 1]),
+    avg: round(avg),
   };
+}
+
+// Runs one HTTP request and reports how long it took. `acceptStatuses` lists
+// error statuses that are an expected outcome under contention rather than a
+// failure, e.g. admitting a token a concurrent "next" already finished.
+async function timedFetch(url, options, timeoutMs, acceptStatuses = []) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
 
   const started = performance.now();
   let status = 'ERR';
 
   try {
-    const response = await fetch(target, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload),
-      signal: controller.signal,
-    });
+    const response = await fetch(url, { ...options, signal: controller.signal });
 
     status = response.status;
 
@@ -230,13 +249,17 @@ async function makeRequest(target, timeoutMs) {
       // Ignore JSON parse errors, they will be handled below.
     }
 
+    if (acceptStatuses.includes(response.status)) {
+      return { latency: performance.now() - started, status, success: true, data };
+    }
+
     if (!response.ok || !data?.success) {
       const message = data?.error || `Request failed with status ${response.status}`;
       throw new Error(message);
     }
 
     const latency = performance.now() - started;
-    return { latency, status, success: true };
+    return { latency, status, success: true, data };
   } catch (error) {
     if (error?.name === 'AbortError') {
       status = 'TIMEOUT';
@@ -249,66 +272,306 @@ async function makeRequest(target, timeoutMs) {
   }
 }
 
-async function runLoadTest(config) {
-  const {
-    target,
-    totalRequests,
-    concurrency,
-    timeoutMs,
-    ignoreFailures,
-    verboseFailures,
-  } = config;
+function checkinPayload(queue) {
+  return {
+    name: randomName(),
+    age: randomAge(),
+    country: randomCountry(),
+    details: randomDetails(),
+    sex: randomSex(),
+    phone: randomPhone(),
+    queue: queue || undefined,
+  };
+}
 
-  console.log(
-    [
-      `Starting load test`,
-      `target=${target}`,
-      `requests=${totalRequests}`,
-      `concurrency=${concurrency}`,
-      `timeout=${timeoutMs}ms`,
-    ].join(' | ')
-  );
+function takeRandom(list) {
+  if (!list.length) {
+    return null;
+  }
+  const index = Math.floor(Math.random() * list.length);
+  return list.splice(index, 1)[0];
+}
+
+// "checkin=50,admit=20" -> [['checkin', 50], ['admit', 20]]
+function parseMix(value) {
+  const mix = String(value)
+    .split(',')
+    .map((part) => part.trim().split('='))
+    .filter(([name]) => name)
+    .map(([name, weight]) => [name, Number(weight)]);
+
+  for (const [name, weight] of mix) {
+    if (!STAFF_OPERATIONS.includes(name) || !Number.isFinite(weight) || weight < 0) {
+      throw new Error(`Invalid --mix entry "${name}=${weight}"`);
+    }
+  }
+  if (!mix.some(([, weight]) => weight > 0)) {
+    throw new Error('--mix needs at least one operation with a positive weight');
+  }
+  return mix;
+}
+
+function pickWeighted(mix) {
+  const total = mix.reduce((sum, [, weight]) => sum + weight, 0);
+  let roll = Math.random() * total;
+  for (const [name, weight] of mix) {
+    roll -= weight;
+    if (roll < 0) {
+      return name;
+    }
+  }
+  return mix[mix.length - 1][0];
+}
 
+async function loginStaff(base, username, password, timeoutMs) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(`${base}/api/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password }),
+      signal: controller.signal,
+    });
+    if (!response.ok) {
+      throw new Error(`Staff login failed with status ${response.status}`);
+    }
+    // Only the session cookie itself, without its attributes.
+    const cookie = (response.headers.get('set-cookie') || '').split(';')[0];
+    if (!cookie) {
+      throw new Error('Staff login did not return a session cookie');
+    }
+    return cookie;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// Matches admissions to the `allowed-update` events display clients receive.
+// An admission is expected before its request is sent, because the event can
+// arrive before the HTTP response does.
+function createDeliveryTracker(clientCount) {
+  const pending = new Map();
   const latencies = [];
-  const statusCounts = new Map();
-  let successCount = 0;
-  let failureCount = 0;
+  let expected = 0;
+
+  return {
+    expect(token, startedAt) {
+      if (!clientCount) {
+        return;
+      }
+      pending.set(token, { startedAt, waitingFor: clientCount });
+      expected += clientCount;
+    },
+
+    cancel(token) {
+      const entry = pending.get(token);
+      if (entry) {
+        expected -= entry.waitingFor;
+        pending.delete(token);
+      }
+    },
+
+    // `seen` is per client, so each client counts each token once.
+    received(seen, allowed) {
+      const now = performance.now();
+      for (const { token } of allowed || []) {
+        const entry = pending.get(token);
+        if (!entry || seen.has(token)) {
+          continue;
+        }
+        seen.add(token);
+        latencies.push(now - entry.startedAt);
+        entry.waitingFor -= 1;
+        if (!entry.waitingFor) {
+          pending.delete(token);
+        }
+      }
+    },
+
+    outstanding() {
+      return pending.size;
+    },
+
+    summary() {
+      return {
+        clients: clientCount,
+        expected,
+        delivered: latencies.length,
+        missed: expected - latencies.length,
+        latency_ms: summarizeLatencies(latencies),
+      };
+    },
+  };
+}
+
+function loadSocketClient() {
+  try {
+    return require('socket.io-client').io;
+  } catch (error) {
+    throw new Error('Display clients need socket.io-client; run "npm install" first');
+  }
+}
+
+// Opens `count` public display connections on `queue`, spread over `rampUpMs`.
+async function openDisplayClients({ base, count, queue, rampUpMs, timeoutMs, tracker, log }) {
+  const io = loadSocketClient();
+  const sockets = [];
+  const gapMs = count > 1 ? rampUpMs / count : 0;
+
+  log(`Opening ${count} display client(s)${rampUpMs ? ` over ${rampUpMs / 1000}s` : ''}...`);
+
+  for (let i = 0; i < count; i += 1) {
+    const socket = io(base, { transports: ['websocket'], reconnection: false, timeout: timeoutMs });
+    const seen = new Set();
+    socket.on('allowed-update', (payload = {}) => tracker.received(seen, payload.allowed));
+    sockets.push(socket);
+
+    await new Promise((resolve, reject) => {
+      socket.once('connect', () => {
+        socket.emit('join-queues', [queue]);
+        resolve();
+      });
+      socket.once('connect_error', (error) => {
+        reject(new Error(`Display client ${i + 1} could not connect: ${error.message}`));
+      });
+    });
+
+    if (gapMs) {
+      await new Promise((resolve) => setTimeout(resolve, gapMs));
+    }
+  }
+
+  return () => sockets.forEach((socket) => socket.close());
+}
+
+// The requests each scenario makes. Every operation resolves to one or more
+// `{ op, latency, status, success }` results.
+function createOperations(config, staffCookie, tracker) {
+  const { base, queue, timeoutMs } = config;
+  const staffHeaders = { 'Content-Type': 'application/json', Cookie: staffCookie };
+  // Tokens this run created, by what the script last did to them.
+  const waiting = [];
+  const allowed = [];
+
+  const operations = {
+    async checkin() {
+      const result = await timedFetch(
+        `${base}/api/checkin`,
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(checkinPayload(queue)),
+        },
+        timeoutMs
+      );
+      if (result.success && !result.data.duplicate) {
+        waiting.push({ token: result.data.token, tokenKey: result.data.token_key });
+      }
+      return [{ op: 'checkin', ...result }];
+    },
+
+    async admit(patient = takeRandom(waiting)) {
+      if (!patient) {
+        return operations.checkin();
+      }
+
+      const startedAt = performance.now();
+      tracker.expect(patient.token, startedAt);
+      const result = await timedFetch(
+        `${base}/api/admit/${encodeURIComponent(patient.tokenKey)}`,
+        { method: 'POST', headers: staffHeaders },
+        timeoutMs,
+        [404]
+      );
+      if (result.success && result.status !== 404) {
+        allowed.push(patient);
+      } else {
+        tracker.cancel(patient.token);
+      }
+      return [{ op: 'admit', ...result }];
+    },
+
+    async next() {
+      const result = await timedFetch(
+        `${base}/api/next`,
+        {
+          method: 'POST',
+          headers: staffHeaders,
+          body: JSON.stringify({ count: 1 + Math.floor(Math.random() * 3), queue: queue || undefined }),
+        },
+        timeoutMs
+      );
+      return [{ op: 'next', ...result }];
+    },
+
+    async remove() {
+      const patient = takeRandom(allowed) || takeRandom(waiting);
+      if (!patient) {
+        return operations.checkin();
+      }
+      const result = await timedFetch(
+        `${base}/api/remove/${encodeURIComponent(patient.tokenKey)}`,
+        { method: 'POST', headers: staffHeaders },
+        timeoutMs,
+        [404]
+      );
+      return [{ op: 'remove', ...result }];
+    },
+  };
+
+  return operations;
+}
 
+const SCENARIO_TASKS = {
+  checkin: (operations) => operations.checkin(),
+  staff: (operations, config) => operations[pickWeighted(config.mix)](),
+  // Check a patient in, then admit them while the display clients watch.
+  fanout: async (operations) => {
+    const checkin = await operations.checkin();
+    const [result] = checkin;
+    if (!result.success || result.data.duplicate) {
+      return checkin;
+    }
+    const patient = { token: result.data.token, tokenKey: result.data.token_key };
+    return [...checkin, ...(await operations.admit(patient))];
+  },
+};
+
+// Starts `totalRequests` tasks with at most `concurrency` in flight. With a
+// ramp-up the limit grows linearly from 1 to `concurrency` over `rampUpMs`.
+async function runTasks({ totalRequests, concurrency, rampUpMs }, task, onResults) {
   let launched = 0;
   let inFlight = 0;
-
   const startedAt = performance.now();
 
+  const currentLimit = () => {
+    if (!rampUpMs) {
+      return concurrency;
+    }
+    const progress = Math.min(1, (performance.now() - startedAt) / rampUpMs);
+    return Math.max(1, Math.ceil(concurrency * progress));
+  };
+
   await new Promise((resolve) => {
+    let rampTimer = null;
+
     const pump = () => {
-      while (inFlight < concurrency && launched < totalRequests) {
+      const limit = currentLimit();
+      while (inFlight < limit && launched < totalRequests) {
         launched += 1;
         inFlight += 1;
+        const index = launched;
 
-        makeRequest(target, timeoutMs)
-          .then((result) => {
-            latencies.push(result.latency);
-            const key = String(result.status);
-            statusCounts.set(key, (statusCounts.get(key) || 0) + 1);
-
-            if (result.success) {
-              successCount += 1;
-            } else {
-              failureCount += 1;
-              if (verboseFailures) {
-                console.warn(`Request #${launched} failed:`, result.error?.message || result.error);
-              } else if (failureCount <= 5) {
-                console.warn(`Request #${launched} failed:`, result.error?.message || result.error);
-              }
-            }
-          })
+        task()
+          .then((results) => onResults(results, index, limit))
           .catch((err) => {
-            failureCount += 1;
-            console.warn('Unexpected error:', err);
+            onResults([{ op: 'unexpected', latency: 0, status: 'ERR', success: false, error: err }], index, limit);
           })
           .finally(() => {
             inFlight -= 1;
             if (launched === totalRequests && inFlight === 0) {
+              clearInterval(rampTimer);
               resolve();
             } else {
               pump();
@@ -317,29 +580,217 @@ async function runLoadTest(config) {
       }
     };
 
+    if (rampUpMs) {
+      rampTimer = setInterval(pump, 100);
+    }
     pump();
   });
 
-  const totalDurationMs = performance.now() - startedAt;
-  latencies.sort((a, b) => a - b);
+  return performance.now() - startedAt;
+}
 
-  const avgLatency = latencies.reduce((sum, value) => sum + value, 0) / (latencies.length || 1);
-  const throughput = totalDurationMs ? totalRequests / (totalDurationMs / 1000) : 0;
+function createStats() {
+  const operations = new Map();
+  const timeline = new Map();
+  const startedAt = performance.now();
 
+  return {
+    record(result, limit) {
+      if (!operations.has(result.op)) {
+        operations.set(result.op, { latencies: [], statusCounts: new Map(), success: 0, failure: 0 });
+      }
+      const stats = operations.get(result.op);
+      stats.latencies.push(result.latency);
+      const key = String(result.status);
+      stats.statusCounts.set(key, (stats.statusCounts.get(key) || 0) + 1);
+      stats[result.success ? 'success' : 'failure'] += 1;
+
+      // One bucket per second of the run, by completion time.
+      const second = Math.floor((performance.now() - startedAt) / 1000);
+      if (!timeline.has(second)) {
+        timeline.set(second, { second, completed: 0, failures: 0, concurrency: limit, latencies: [] });
+      }
+      const bucket = timeline.get(second);
+      bucket.completed += 1;
+      bucket.failures += result.success ? 0 : 1;
+      bucket.concurrency = Math.max(bucket.concurrency, limit);
+      bucket.latencies.push(result.latency);
+    },
+
+    summary() {
+      const byOperation = {};
+      let success = 0;
+      let failure = 0;
+      for (const [op, stats] of operations) {
+        success += stats.success;
+        failure += stats.failure;
+        byOperation[op] = {
+          requests: stats.latencies.length,
+          success: stats.success,
+          failure: stats.failure,
+          status_counts: Object.fromEntries(stats.statusCounts),
+          latency_ms: summarizeLatencies(stats.latencies),
+        };
+      }
+
+      return {
+        success,
+        failure,
+        operations: byOperation,
+        timeline: [...timeline.values()]
+          .sort((a, b) => a.second - b.second)
+          .map(({ latencies, ...bucket }) => ({ ...bucket, p95_ms: summarizeLatencies(latencies).p95 })),
+      };
+    },
+  };
+}
+
+function printLatency(latency, indent = '  ') {
+  console.log(`${indent}min: ${latency.min.toFixed(2)}`);
+  console.log(`${indent}p50: ${latency.p50.toFixed(2)}`);
+  console.log(`${indent}p90: ${latency.p90.toFixed(2)}`);
+  console.log(`${indent}p95: ${latency.p95.toFixed(2)}`);
+  console.log(`${indent}p99: ${latency.p99.toFixed(2)}`);
+  console.log(`${indent}max: ${latency.max.toFixed(2)}`);
+  console.log(`${indent}avg: ${latency.avg.toFixed(2)}`);
+}
+
+function printReport(report) {
   console.log('--- Load Test Results ---');
-  console.log(`Total duration: ${totalDurationMs.toFixed(2)} ms`);
-  console.log(`Throughput: ${throughput.toFixed(2)} requests/sec`);
-  console.log(`Success: ${successCount}, Failure: ${failureCount}`);
-  console.log('Status counts:', Object.fromEntries(statusCounts));
-
-  if (latencies.length) {
-    console.log('Latency (ms):');
-    console.log(`  min: ${latencies[0].toFixed(2)}`);
-    console.log(`  p50: ${percentile(latencies, 50).toFixed(2)}`);
-    console.log(`  p90: ${percentile(latencies, 90).toFixed(2)}`);
-    console.log(`  p95: ${percentile(latencies, 95).toFixed(2)}`);
-    console.log(`  max: ${latencies[latencies.length - 1].toFixed(2)}`);
-    console.log(`  avg: ${avgLatency.toFixed(2)}`);
+  console.log(`Scenario: ${report.scenario}`);
+  console.log(`Total duration: ${report.duration_ms.toFixed(2)} ms`);
+  console.log(`Throughput: ${report.throughput_rps.toFixed(2)} requests/sec`);
+  console.log(`Success: ${report.success}, Failure: ${report.failure}`);
+
+  for (const [op, stats] of Object.entries(report.operations)) {
+    console.log(`${op}: ${stats.requests} request(s), status counts:`, stats.status_counts);
+    if (stats.latency_ms) {
+      console.log('  Latency (ms):');
+      printLatency(stats.latency_ms, '    ');
+    }
+  }
+
+  if (report.delivery) {
+    const { clients, expected, delivered, missed, latency_ms: latency } = report.delivery;
+    console.log(
+      `Display delivery: ${clients} client(s), ${delivered}/${expected} updates received, ${missed} missed`
+    );
+    if (latency) {
+      console.log('  Admission to delivery (ms):');
+      printLatency(latency, '    ');
+    }
+  }
+}
+
+async function runLoadTest(config) {
+  const {
+    scenario,
+    base,
+    totalRequests,
+    concurrency,
+    rampUpMs,
+    timeoutMs,
+    clients,
+    ignoreFailures,
+    verboseFailures,
+    json,
+    output,
+  } = config;
+
+  // With --json stdout carries only the report.
+  const log = json ? (...args) => console.error(...args) : (...args) => console.log(...args);
+
+  log(
+    [
+      `Starting load test`,
+      `scenario=${scenario}`,
+      `target=${base}`,
+      `requests=${totalRequests}`,
+      `concurrency=${concurrency}`,
+      `ramp-up=${rampUpMs / 1000}s`,
+      `clients=${clients}`,
+      `timeout=${timeoutMs}ms`,
+    ].join(' | ')
+  );
+
+  const needsStaff = scenario !== 'checkin';
+  let staffCookie = '';
+  if (needsStaff) {
+    if (!config.staffUser || !config.staffPass) {
+      throw new Error(`The ${scenario} scenario needs --staff-user and --staff-pass`);
+    }
+    staffCookie = await loginStaff(base, config.staffUser, config.staffPass, timeoutMs);
+  }
+
+  const tracker = createDeliveryTracker(clients);
+  const closeClients = clients
+    ? await openDisplayClients({ base, count: clients, queue: config.queue || 'general', rampUpMs, timeoutMs, tracker, log })
+    : () => {};
+
+  const operations = createOperations(config, staffCookie, tracker);
+  const stats = createStats();
+  let failureCount = 0;
+
+  const startedAt = new Date();
+  let durationMs;
+  try {
+    durationMs = await runTasks(
+      config,
+      () => SCENARIO_TASKS[scenario](operations, config),
+      (results, index, limit) => {
+        for (const result of results) {
+          stats.record(result, limit);
+          if (!result.success) {
+            failureCount += 1;
+            if (verboseFailures || failureCount <= 5) {
+              log(`Request #${index} (${result.op}) failed:`, result.error?.message || result.error);
+            }
+          }
+        }
+      }
+    );
+
+    // Give the last events time to reach every display client.
+    const deadline = performance.now() + DELIVERY_WAIT_MS;
+    while (tracker.outstanding() && performance.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+  } finally {
+    closeClients();
+  }
+
+  const summary = stats.summary();
+  const requestCount = summary.success + summary.failure;
+  const report = {
+    scenario,
+    target: base,
+    started_at: startedAt.toISOString(),
+    config: {
+      requests: totalRequests,
+      concurrency,
+      ramp_up_seconds: rampUpMs / 1000,
+      clients,
+      timeout_ms: timeoutMs,
+      queue: config.queue || null,
+      mix: scenario === 'staff' ? Object.fromEntries(config.mix) : null,
+    },
+    duration_ms: Number(durationMs.toFixed(2)),
+    throughput_rps: Number((durationMs ? requestCount / (durationMs / 1000) : 0).toFixed(2)),
+    success: summary.success,
+    failure: summary.failure,
+    operations: summary.operations,
+    delivery: clients ? tracker.summary() : null,
+    timeline: summary.timeline,
+  };
+
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+  if (output) {
+    fs.writeFileSync(output, `${JSON.stringify(report, null, 2)}\n`);
+    log(`Results written to ${output}`);
   }
 
   if (!ignoreFailures && failureCount > 0) {
@@ -351,25 +802,58 @@ async function runLoadTest(config) {
 async function main() {
   const options = parseArgs();
 
+  const scenario = getStringOption(options, 'scenario', 'LOAD_TEST_SCENARIO', 'checkin');
+  if (!SCENARIOS.includes(scenario)) {
+    console.error(`Unknown scenario "${scenario}". Use one of: ${SCENARIOS.join(', ')}`);
+    process.exit(1);
+  }
+
   const target = getStringOption(options, 'target', 'LOAD_TEST_TARGET', DEFAULT_TARGET);
   const totalRequests = getNumberOption(options, 'requests', 'LOAD_TEST_REQUESTS', DEFAULT_REQUESTS);
   const concurrency = getNumberOption(options, 'concurrency', 'LOAD_TEST_CONCURRENCY', DEFAULT_CONCURRENCY);
+  const rampUpSeconds = getNumberOption(options, 'ramp-up', 'LOAD_TEST_RAMP_UP', 0);
   const timeoutMs = getNumberOption(options, 'timeout', 'LOAD_TEST_TIMEOUT', DEFAULT_TIMEOUT_MS);
+  const clients = getNumberOption(
+    options,
+    'clients',
+    'LOAD_TEST_CLIENTS',
+    scenario === 'fanout' ? DEFAULT_FANOUT_CLIENTS : 0
+  );
   const ignoreFailures = getBooleanOption(options, 'ignore-failures', 'LOAD_TEST_IGNORE_FAILURES', false);
   const verboseFailures = getBooleanOption(options, 'verbose-failures', 'LOAD_TEST_VERBOSE_FAILURES', false);
+  const json = getBooleanOption(options, 'json', 'LOAD_TEST_JSON', false);
+  const output = getStringOption(options, 'output', 'LOAD_TEST_OUTPUT', '');
 
   if (!target.startsWith('http://') && !target.startsWith('https://')) {
     console.error(`Invalid target URL: ${target}`);
     process.exit(1);
   }
 
+  let mix;
+  try {
+    mix = parseMix(getStringOption(options, 'mix', 'LOAD_TEST_MIX', DEFAULT_MIX));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
   await runLoadTest({
-    target,
+    scenario,
+    // --target names the check-in URL; the other routes live on the same server.
+    base: new URL(target).origin,
     totalRequests,
     concurrency,
+    rampUpMs: Math.max(0, rampUpSeconds) * 1000,
     timeoutMs,
+    clients: Math.max(0, Math.floor(clients)),
+    queue: getStringOption(options, 'queue', 'LOAD_TEST_QUEUE', ''),
+    mix,
+    staffUser: getStringOption(options, 'staff-user', 'LOAD_TEST_STAFF_USER', ''),
+    staffPass: getStringOption(options, 'staff-pass', 'LOAD_TEST_STAFF_PASS', ''),
     ignoreFailures,
     verboseFailures,
+    json,
+    output,
   });
 }
 
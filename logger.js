@@ -0,0 +1,155 @@
+// Structured logging: one JSON line per event on stdout (stderr for warnings
+// and errors) with level, time and message. Lines written while handling an
+// HTTP request carry its request ID, route and token without callers passing
+// them, so one ID follows an admit from the route through storage to the
+// socket relay.
+//
+// Patient data never reaches the log: values under the keys in REDACTED_KEYS
+// are replaced wherever they appear, and errors are reduced to their name,
+// code, message and stack (pg's `detail`, which quotes row values, is dropped).
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_LEVEL = LEVELS.includes((process.env.LOG_LEVEL || '').trim().toLowerCase())
+  ? process.env.LOG_LEVEL.trim().toLowerCase()
+  : 'info';
+const REDACTED_KEYS = new Set([
+  'name',
+  'phone',
+  'phone_digits',
+  'phonedigits',
+  'birth_date',
+  'birthdate',
+  'details',
+  'answers',
+  'to',
+  'recipient',
+  'body',
+  'password',
+  'password_hash',
+  'passwordhash',
+  'authorization',
+  'cookie',
+]);
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+// Accepted from clients and proxies as is; anything else gets a fresh ID.
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+// Probes and scrapes would drown everything else at info.
+const QUIET_PATHS = ['/healthz', '/readyz', '/metrics'];
+
+const context = new AsyncLocalStorage();
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    code: error.code,
+    message: error.message,
+    stack: error.stack,
+  };
+}
+
+function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (value === null || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      REDACTED_KEYS.has(key.toLowerCase()) ? REDACTED : redact(item, depth + 1),
+    ])
+  );
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS.indexOf(level) < LEVELS.indexOf(LOG_LEVEL)) {
+    return;
+  }
+  const line = JSON.stringify({
+    level,
+    time: new Date().toISOString(),
+    msg,
+    ...context.getStore(),
+    ...redact(fields),
+  });
+  (LEVELS.indexOf(level) >= LEVELS.indexOf('warn') ? process.stderr : process.stdout).write(
+    `${line}\n`
+  );
+}
+
+const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+};
+
+function currentRequestId() {
+  const store = context.getStore();
+  return store ? store.request_id : undefined;
+}
+
+// Runs `fn` with `fields` added to every line it logs, e.g. a queue event
+// relayed on behalf of the request that published it.
+function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+// Express middleware, mounted first. Reuses the caller's X-Request-Id or
+// makes one, echoes it on the response and in every JSON error body, and
+// logs each request with its route, token, status and duration.
+function requestLogging(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+  const store = { request_id: requestId };
+  const level = QUIET_PATHS.includes(req.path) ? 'debug' : 'info';
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body)) {
+      return json({ ...body, request_id: requestId });
+    }
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    context.run(store, () => {
+      write(level, 'Request finished', {
+        method: req.method,
+        route: req.route ? `${req.baseUrl}${req.route.path}` : undefined,
+        path: req.route ? undefined : req.path,
+        token: req.params && req.params.token,
+        status: res.statusCode,
+        duration_ms: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10,
+        staff: req.staff ? req.staff.username : undefined,
+      });
+    });
+  });
+
+  context.run(store, () => {
+    write('debug', 'Request started', { method: req.method, path: req.path });
+    next();
+  });
+}
+
+module.exports = {
+  LOG_LEVEL,
+  logger,
+  currentRequestId,
+  withLogContext,
+  requestLogging,
+};
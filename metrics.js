@@ -0,0 +1,154 @@
+// Prometheus metrics served on /metrics. Counters and the request histogram
+// count what this instance handled; queue gauges are read from storage when
+// scraped, so every instance reports the same queue depth.
+
+const client = require('prom-client');
+const { logger } = require('./logger');
+
+const TRACKED_STATUSES = ['waiting', 'allowed'];
+const SOCKET_NAMESPACES = ['/', '/staff'];
+
+// Route patterns rather than URLs keep label cardinality bounded. Static
+// files and 404s have no route.
+function routeLabel(req) {
+  return req.route ? `${req.baseUrl}${req.route.path}` : 'other';
+}
+
+function createMetrics({ storage, pool, io }) {
+  const register = new client.Registry();
+  client.collectDefaultMetrics({ register });
+
+  const httpDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request duration by method, route and status code',
+    labelNames: ['method', 'route', 'status_code'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+    registers: [register],
+  });
+
+  const checkins = new client.Counter({
+    name: 'clinic_checkins_total',
+    help: 'Successful check-ins by queue and outcome (created, duplicate, replayed)',
+    labelNames: ['queue', 'outcome'],
+    registers: [register],
+  });
+
+  const checkinErrors = new client.Counter({
+    name: 'clinic_checkin_errors_total',
+    help: 'Refused or failed check-ins by error code',
+    labelNames: ['code'],
+    registers: [register],
+  });
+
+  const admissions = new client.Counter({
+    name: 'clinic_admissions_total',
+    help: 'Patients admitted by queue and source (manual_admit, batch_next)',
+    labelNames: ['queue', 'source'],
+    registers: [register],
+  });
+
+  const capacityActions = new client.Counter({
+    name: 'clinic_capacity_actions_total',
+    help: 'Full-queue outcomes by queue and action (evicted, rejected, auto_finished)',
+    labelNames: ['queue', 'action'],
+    registers: [register],
+  });
+
+  new client.Gauge({
+    name: 'clinic_queue_tokens',
+    help: 'Tokens in the open clinic session by queue and status',
+    labelNames: ['queue', 'status'],
+    registers: [register],
+    async collect() {
+      this.reset();
+      try {
+        const queues = await storage.listQueues();
+        queues.forEach((queue) => {
+          TRACKED_STATUSES.forEach((status) => this.set({ queue: queue.slug, status }, 0));
+        });
+        (await storage.countTokensByStatus()).forEach(({ queue, status, count }) => {
+          this.set({ queue, status }, count);
+        });
+      } catch (error) {
+        // Still serve the process, HTTP and pool metrics while storage is down.
+        logger.error('Queue metrics error', { error });
+      }
+    },
+  });
+
+  new client.Gauge({
+    name: 'clinic_queue_capacity',
+    help: 'Patients a queue admits at once (MAX_ALLOWED unless set per queue)',
+    labelNames: ['queue'],
+    registers: [register],
+    async collect() {
+      this.reset();
+      try {
+        (await storage.listQueues()).forEach((queue) => {
+          this.set({ queue: queue.slug }, queue.capacity);
+        });
+      } catch (error) {
+        logger.error('Queue capacity metrics error', { error });
+      }
+    },
+  });
+
+  if (pool) {
+    new client.Gauge({
+      name: 'clinic_pg_pool_connections',
+      help: 'PostgreSQL pool connections: total, idle, and requests waiting for one',
+      labelNames: ['state'],
+      registers: [register],
+      collect() {
+        this.set({ state: 'total' }, pool.totalCount);
+        this.set({ state: 'idle' }, pool.idleCount);
+        this.set({ state: 'waiting' }, pool.waitingCount);
+      },
+    });
+  }
+
+  new client.Gauge({
+    name: 'clinic_socket_clients',
+    help: 'Connected Socket.IO clients by namespace',
+    labelNames: ['namespace'],
+    registers: [register],
+    collect() {
+      SOCKET_NAMESPACES.forEach((namespace) => {
+        this.set({ namespace }, io.of(namespace).sockets.size);
+      });
+    },
+  });
+
+  return {
+    contentType: register.contentType,
+    render: () => register.metrics(),
+
+    observeRequests(req, res, next) {
+      const end = httpDuration.startTimer();
+      res.on('finish', () => {
+        end({ method: req.method, route: routeLabel(req), status_code: res.statusCode });
+      });
+      next();
+    },
+
+    countCheckin(queue, outcome) {
+      checkins.inc({ queue, outcome });
+    },
+
+    countCheckinError(code) {
+      checkinErrors.inc({ code });
+    },
+
+    countAdmissions(queue, source, count = 1) {
+      admissions.inc({ queue, source }, count);
+    },
+
+    countCapacityAction(queue, action, count = 1) {
+      if (count > 0) {
+        capacityActions.inc({ queue, action }, count);
+      }
+    },
+  };
+}
+
+module.exports = { createMetrics };
@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{3})_([a-z0-9_]+)\.js$/;
+// Arbitrary key for pg_advisory_lock so two instances starting at once do not
+// apply the same migration twice.
+const MIGRATION_LOCK_KEY = 727001;
+
+function loadMigrations() {
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .map((file) => {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) {
+        return null;
+      }
+
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+
+      return { version: match[1], name: match[2], up: migration.up, down: migration.down };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version.localeCompare(b.version));
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+async function getAppliedMigrations(client) {
+  const { rows } = await client.query(
+    `SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC`
+  );
+  return rows;
+}
+
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function runInTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+async function migrationStatus(pool) {
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getAppliedMigrations(client);
+    const appliedByVersion = new Map(applied.map((row) => [row.version, row]));
+    const known = loadMigrations();
+    const knownVersions = new Set(known.map((migration) => migration.version));
+
+    const status = known.map((migration) => ({
+      version: migration.version,
+      name: migration.name,
+      state: appliedByVersion.has(migration.version) ? 'applied' : 'pending',
+      applied_at: appliedByVersion.get(migration.version)?.applied_at || null,
+    }));
+
+    // Applied in the database but no longer on disk, e.g. after a downgrade.
+    applied
+      .filter((row) => !knownVersions.has(row.version))
+      .forEach((row) => {
+        status.push({ ...row, state: 'missing' });
+      });
+
+    return status.sort((a, b) => a.version.localeCompare(b.version));
+  });
+}
+
+async function migrateUp(pool, { log = console.log } = {}) {
+  return withMigrationLock(pool, async (client) => {
+    const appliedVersions = new Set(
+      (await getAppliedMigrations(client)).map((row) => row.version)
+    );
+    const pending = loadMigrations().filter(
+      (migration) => !appliedVersions.has(migration.version)
+    );
+
+    for (const migration of pending) {
+      await runInTransaction(client, async () => {
+        await migration.up(client);
+        await client.query(
+          `INSERT INTO schema_migrations (version, name) VALUES ($1, $2)`,
+          [migration.version, migration.name]
+        );
+      });
+      log(`Applied migration ${migration.version}_${migration.name}`);
+    }
+
+    return pending.map((migration) => `${migration.version}_${migration.name}`);
+  });
+}
+
+async function migrateDown(pool, steps = 1, { log = console.log } = {}) {
+  return withMigrationLock(pool, async (client) => {
+    const migrations = new Map(loadMigrations().map((m) => [m.version, m]));
+    const toRevert = (await getAppliedMigrations(client)).reverse().slice(0, steps);
+    const reverted = [];
+
+    for (const row of toRevert) {
+      const migration = migrations.get(row.version);
+      if (!migration) {
+        throw new Error(`Cannot revert ${row.version}_${row.name}: file not found`);
+      }
+
+      await runInTransaction(client, async () => {
+        await migration.down(client);
+        await client.query(`DELETE FROM schema_migrations WHERE version = $1`, [
+          row.version,
+        ]);
+      });
+      log(`Reverted migration ${row.version}_${row.name}`);
+      reverted.push(`${row.version}_${row.name}`);
+    }
+
+    return reverted;
+  });
+}
+
+async function pendingMigrations(pool) {
+  const status = await migrationStatus(pool);
+  return status.filter((migration) => migration.state === 'pending');
+}
+
+// Versions on disk the database has not recorded, read without taking the
+// migration lock so health checks never wait behind a running migration.
+async function unappliedMigrations(client) {
+  const { rows } = await client.query(`SELECT version FROM schema_migrations`);
+  const applied = new Set(rows.map((row) => row.version));
+  return loadMigrations().filter((migration) => !applied.has(migration.version));
+}
+
+function printUsage() {
+  console.log(
+    [
+      'Usage: npm run migrate -- <command>',
+      '',
+      'Commands:',
+      '  up          Apply all pending migrations (default)',
+      '  status      List applied and pending migrations',
+      '  down [n]    Revert the last n applied migrations (default 1)',
+    ].join('\n')
+  );
+}
+
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+  const { createPool } = require('./db');
+  const pool = createPool();
+
+  try {
+    if (command === 'up') {
+      const applied = await migrateUp(pool);
+      console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+    } else if (command === 'status') {
+      const status = await migrationStatus(pool);
+      status.forEach((migration) => {
+        const appliedAt = migration.applied_at
+          ? new Date(migration.applied_at).toISOString()
+          : '';
+        console.log(
+          `${migration.state.padEnd(8)} ${migration.version}_${migration.name} ${appliedAt}`.trimEnd()
+        );
+      });
+    } else if (command === 'down') {
+      const steps = arg === undefined ? 1 : Number(arg);
+      if (!Number.isInteger(steps) || steps <= 0) {
+        console.error(`Invalid step count: ${arg}`);
+        process.exitCode = 1;
+        return;
+      }
+      const reverted = await migrateDown(pool, steps);
+      console.log(`Reverted ${reverted.length} migration(s)`);
+    } else {
+      printUsage();
+      process.exitCode = command === 'help' || command === '--help' ? 0 : 1;
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+  main().catch((error) => {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  migrateUp,
+  migrateDown,
+  migrationStatus,
+  pendingMigrations,
+  unappliedMigrations,
+};
@@ -0,0 +1,38 @@
+// Baseline schema. Uses IF NOT EXISTS throughout so databases created by the
+// old ensureTokensTable() startup code are adopted without changes.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS tokens (
+        id SERIAL PRIMARY KEY,
+        token TEXT NOT NULL UNIQUE,
+        name TEXT NOT NULL,
+        age INT NOT NULL,
+        country TEXT NOT NULL,
+        details TEXT,
+        status TEXT NOT NULL DEFAULT 'waiting',
+        admitted_at TIMESTAMP,
+        finished_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS tokens_status_idx ON tokens(status)
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS tokens_token_idx ON tokens(token)
+    `);
+
+    await client.query(`
+      ALTER TABLE tokens
+      ADD COLUMN IF NOT EXISTS sex TEXT,
+      ADD COLUMN IF NOT EXISTS phone TEXT
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS tokens`);
+  },
+};
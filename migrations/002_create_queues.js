@@ -0,0 +1,52 @@
+const DEFAULT_QUEUE_SLUG = 'general';
+const MAX_ALLOWED = parseInt(process.env.MAX_ALLOWED || '20', 10);
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS queues (
+        id SERIAL PRIMARY KEY,
+        slug TEXT NOT NULL UNIQUE,
+        name TEXT NOT NULL,
+        prefix TEXT NOT NULL UNIQUE,
+        capacity INT NOT NULL,
+        last_number INT NOT NULL DEFAULT 0,
+        sort_order INT NOT NULL DEFAULT 0,
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    // The default queue keeps the historic "T" prefix and continues numbering
+    // after the highest existing token so upgraded deployments never collide.
+    await client.query(
+      `INSERT INTO queues (slug, name, prefix, capacity, last_number)
+       SELECT $1, 'General', 'T', $2, COALESCE(MAX(id), 0)
+       FROM tokens
+       ON CONFLICT (slug) DO NOTHING`,
+      [DEFAULT_QUEUE_SLUG, MAX_ALLOWED]
+    );
+
+    await client.query(`
+      ALTER TABLE tokens
+      ADD COLUMN IF NOT EXISTS queue_id INT REFERENCES queues(id)
+    `);
+
+    await client.query(
+      `UPDATE tokens
+       SET queue_id = (SELECT id FROM queues WHERE slug = $1)
+       WHERE queue_id IS NULL`,
+      [DEFAULT_QUEUE_SLUG]
+    );
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS tokens_queue_status_idx ON tokens(queue_id, status)
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP INDEX IF EXISTS tokens_queue_status_idx`);
+    await client.query(`ALTER TABLE tokens DROP COLUMN IF EXISTS queue_id`);
+    await client.query(`DROP TABLE IF EXISTS queues`);
+  },
+};
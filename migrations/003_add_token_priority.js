@@ -0,0 +1,12 @@
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE tokens
+      ADD COLUMN IF NOT EXISTS priority INT NOT NULL DEFAULT 0
+    `);
+  },
+
+  async down(client) {
+    await client.query(`ALTER TABLE tokens DROP COLUMN IF EXISTS priority`);
+  },
+};
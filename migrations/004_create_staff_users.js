@@ -0,0 +1,29 @@
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS staff_users (
+        id SERIAL PRIMARY KEY,
+        username TEXT NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL CHECK (role IN ('admin', 'desk', 'display')),
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        last_login_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS staff_sessions (
+        token_hash TEXT PRIMARY KEY,
+        user_id INT NOT NULL REFERENCES staff_users(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        expires_at TIMESTAMP NOT NULL
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS staff_sessions`);
+    await client.query(`DROP TABLE IF EXISTS staff_users`);
+  },
+};
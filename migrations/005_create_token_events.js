@@ -0,0 +1,47 @@
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS token_events (
+        id BIGSERIAL PRIMARY KEY,
+        token_id INT NOT NULL REFERENCES tokens(id),
+        token TEXT NOT NULL,
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        source TEXT NOT NULL,
+        actor_id INT REFERENCES staff_users(id),
+        actor_username TEXT,
+        details JSONB,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS token_events_token_id_idx ON token_events(token_id, id)
+    `);
+
+    // History must not be rewritten after the fact, so reject edits at the
+    // database level rather than trusting every code path.
+    await client.query(`
+      CREATE OR REPLACE FUNCTION token_events_append_only() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'token_events is append-only';
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+
+    await client.query(`
+      DROP TRIGGER IF EXISTS token_events_append_only ON token_events
+    `);
+
+    await client.query(`
+      CREATE TRIGGER token_events_append_only
+      BEFORE UPDATE OR DELETE ON token_events
+      FOR EACH ROW EXECUTE FUNCTION token_events_append_only()
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS token_events`);
+    await client.query(`DROP FUNCTION IF EXISTS token_events_append_only()`);
+  },
+};
@@ -0,0 +1,99 @@
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE clinic_sessions (
+        id SERIAL PRIMARY KEY,
+        session_key TEXT NOT NULL UNIQUE,
+        status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+        opened_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        opened_by INT REFERENCES staff_users(id),
+        closed_at TIMESTAMP,
+        closed_by INT REFERENCES staff_users(id)
+      )
+    `);
+
+    // At most one session may be open at a time.
+    await client.query(`
+      CREATE UNIQUE INDEX clinic_sessions_single_open_idx
+      ON clinic_sessions ((status)) WHERE status = 'open'
+    `);
+
+    await client.query(`
+      CREATE TABLE session_queue_counters (
+        session_id INT NOT NULL REFERENCES clinic_sessions(id) ON DELETE CASCADE,
+        queue_id INT NOT NULL REFERENCES queues(id),
+        last_number INT NOT NULL DEFAULT 0,
+        PRIMARY KEY (session_id, queue_id)
+      )
+    `);
+
+    await client.query(`
+      ALTER TABLE tokens
+      ADD COLUMN session_id INT REFERENCES clinic_sessions(id),
+      ADD COLUMN token_key TEXT
+    `);
+
+    // Open a session straight away and adopt every existing token into it, so
+    // an upgraded clinic keeps running and numbering continues where it was.
+    const { rows } = await client.query(`
+      INSERT INTO clinic_sessions (session_key)
+      VALUES (to_char(NOW(), 'YYYYMMDD'))
+      RETURNING id, session_key
+    `);
+    const session = rows[0];
+
+    await client.query(
+      `UPDATE tokens SET session_id = $1, token_key = $2 || '-' || token`,
+      [session.id, session.session_key]
+    );
+
+    await client.query(
+      `INSERT INTO session_queue_counters (session_id, queue_id, last_number)
+       SELECT $1, id, last_number FROM queues`,
+      [session.id]
+    );
+
+    await client.query(`ALTER TABLE tokens ALTER COLUMN token_key SET NOT NULL`);
+    await client.query(`CREATE UNIQUE INDEX tokens_token_key_idx ON tokens(token_key)`);
+
+    // Short tokens ("T12") now repeat across sessions; only the key is global.
+    await client.query(`ALTER TABLE tokens DROP CONSTRAINT IF EXISTS tokens_token_key`);
+    await client.query(`
+      CREATE UNIQUE INDEX tokens_session_token_idx ON tokens(session_id, token)
+    `);
+    await client.query(`
+      CREATE INDEX tokens_session_status_idx ON tokens(session_id, status)
+    `);
+
+    await client.query(`ALTER TABLE queues DROP COLUMN last_number`);
+  },
+
+  // Fails if the same short token was issued in more than one session, since
+  // the old schema cannot represent that.
+  async down(client) {
+    await client.query(`
+      ALTER TABLE queues ADD COLUMN last_number INT NOT NULL DEFAULT 0
+    `);
+    await client.query(`
+      UPDATE queues q
+      SET last_number = c.last_number
+      FROM session_queue_counters c
+      WHERE c.queue_id = q.id
+        AND c.session_id = (SELECT MAX(id) FROM clinic_sessions)
+    `);
+
+    await client.query(`DROP INDEX IF EXISTS tokens_session_status_idx`);
+    await client.query(`DROP INDEX IF EXISTS tokens_session_token_idx`);
+    await client.query(`DROP INDEX IF EXISTS tokens_token_key_idx`);
+    await client.query(`UPDATE tokens SET status = 'done' WHERE status = 'closed'`);
+    await client.query(`ALTER TABLE tokens ADD CONSTRAINT tokens_token_key UNIQUE (token)`);
+    await client.query(`
+      ALTER TABLE tokens
+      DROP COLUMN token_key,
+      DROP COLUMN session_id
+    `);
+
+    await client.query(`DROP TABLE session_queue_counters`);
+    await client.query(`DROP TABLE clinic_sessions`);
+  },
+};
@@ -0,0 +1,40 @@
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE notification_outbox (
+        id SERIAL PRIMARY KEY,
+        token_id INT NOT NULL REFERENCES tokens(id) ON DELETE CASCADE,
+        kind TEXT NOT NULL,
+        channel TEXT NOT NULL,
+        recipient TEXT NOT NULL,
+        body TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'cancelled')),
+        provider TEXT,
+        provider_message_id TEXT,
+        attempts INT NOT NULL DEFAULT 0,
+        last_error TEXT,
+        next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        sent_at TIMESTAMP
+      )
+    `);
+
+    // One message of each kind per token, so repeated position updates cannot
+    // send the same "almost your turn" text twice.
+    await client.query(`
+      CREATE UNIQUE INDEX notification_outbox_token_kind_idx
+      ON notification_outbox(token_id, kind)
+    `);
+
+    await client.query(`
+      CREATE INDEX notification_outbox_due_idx
+      ON notification_outbox(next_attempt_at)
+      WHERE status IN ('pending', 'sending')
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE notification_outbox`);
+  },
+};
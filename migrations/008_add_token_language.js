@@ -0,0 +1,12 @@
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE tokens
+      ADD COLUMN language TEXT NOT NULL DEFAULT 'en'
+    `);
+  },
+
+  async down(client) {
+    await client.query(`ALTER TABLE tokens DROP COLUMN language`);
+  },
+};
@@ -0,0 +1,33 @@
+module.exports = {
+  async up(client) {
+    // A returning patient is recognised by phone number (digits only) plus
+    // date of birth. Tokens from before this table existed stay unlinked.
+    await client.query(`
+      CREATE TABLE patients (
+        id SERIAL PRIMARY KEY,
+        phone_digits TEXT NOT NULL,
+        birth_date DATE NOT NULL,
+        name TEXT NOT NULL,
+        country TEXT,
+        sex TEXT,
+        phone TEXT NOT NULL,
+        language TEXT NOT NULL DEFAULT 'en',
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        last_visit_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        UNIQUE (phone_digits, birth_date)
+      )
+    `);
+
+    await client.query(`
+      ALTER TABLE tokens
+      ADD COLUMN patient_id INT REFERENCES patients(id)
+    `);
+    await client.query(`CREATE INDEX tokens_patient_idx ON tokens(patient_id)`);
+  },
+
+  async down(client) {
+    await client.query(`DROP INDEX IF EXISTS tokens_patient_idx`);
+    await client.query(`ALTER TABLE tokens DROP COLUMN patient_id`);
+    await client.query(`DROP TABLE patients`);
+  },
+};
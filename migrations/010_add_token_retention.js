@@ -0,0 +1,68 @@
+module.exports = {
+  async up(client) {
+    // Age bands are what analytics report on; storing one per token lets the
+    // exact age be discarded once a visit passes the retention period.
+    await client.query(`
+      CREATE FUNCTION token_age_band(age INT) RETURNS TEXT
+      LANGUAGE SQL IMMUTABLE AS $$
+        SELECT CASE
+          WHEN age IS NULL THEN NULL
+          WHEN age < 18 THEN '0-17'
+          WHEN age < 25 THEN '18-24'
+          WHEN age < 35 THEN '25-34'
+          WHEN age < 45 THEN '35-44'
+          WHEN age < 55 THEN '45-54'
+          WHEN age < 65 THEN '55-64'
+          ELSE '65+'
+        END
+      $$
+    `);
+
+    await client.query(`
+      ALTER TABLE tokens
+      ADD COLUMN age_band TEXT,
+      ADD COLUMN anonymized_at TIMESTAMP,
+      ALTER COLUMN name DROP NOT NULL,
+      ALTER COLUMN age DROP NOT NULL
+    `);
+    await client.query(`UPDATE tokens SET age_band = token_age_band(age)`);
+
+    await client.query(`
+      CREATE INDEX tokens_retention_idx ON tokens(finished_at)
+      WHERE anonymized_at IS NULL
+    `);
+
+    await client.query(`
+      CREATE TABLE retention_runs (
+        id SERIAL PRIMARY KEY,
+        trigger TEXT NOT NULL,
+        dry_run BOOLEAN NOT NULL,
+        retention_days INT NOT NULL,
+        cutoff TIMESTAMP NOT NULL,
+        tokens_anonymized INT NOT NULL DEFAULT 0,
+        notifications_deleted INT NOT NULL DEFAULT 0,
+        patients_deleted INT NOT NULL DEFAULT 0,
+        error TEXT,
+        started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        finished_at TIMESTAMP
+      )
+    `);
+  },
+
+  // Anonymized rows cannot get their data back; they keep placeholder values
+  // so the old NOT NULL constraints can be restored.
+  async down(client) {
+    await client.query(`DROP TABLE retention_runs`);
+    await client.query(`DROP INDEX IF EXISTS tokens_retention_idx`);
+    await client.query(`UPDATE tokens SET name = 'Anonymized' WHERE name IS NULL`);
+    await client.query(`UPDATE tokens SET age = 0 WHERE age IS NULL`);
+    await client.query(`
+      ALTER TABLE tokens
+      ALTER COLUMN name SET NOT NULL,
+      ALTER COLUMN age SET NOT NULL,
+      DROP COLUMN anonymized_at,
+      DROP COLUMN age_band
+    `);
+    await client.query(`DROP FUNCTION token_age_band(INT)`);
+  },
+};
@@ -0,0 +1,30 @@
+module.exports = {
+  async up(client) {
+    // Staff can stop new check-ins for the rest of a session without closing
+    // it, e.g. when the day's slots are full.
+    await client.query(`
+      ALTER TABLE clinic_sessions
+      ADD COLUMN checkin_paused BOOLEAN NOT NULL DEFAULT false,
+      ADD COLUMN checkin_paused_message TEXT
+    `);
+
+    // Fixed-window counters for /api/checkin, one row per hashed client IP or
+    // phone number. Kept in the database so every instance shares them.
+    await client.query(`
+      CREATE TABLE checkin_rate_limits (
+        bucket TEXT PRIMARY KEY,
+        window_started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        count INT NOT NULL DEFAULT 0
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE checkin_rate_limits`);
+    await client.query(`
+      ALTER TABLE clinic_sessions
+      DROP COLUMN checkin_paused_message,
+      DROP COLUMN checkin_paused
+    `);
+  },
+};
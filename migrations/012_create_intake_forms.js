@@ -0,0 +1,54 @@
+// The form the kiosk showed when this migration was written. Copied here
+// rather than imported so later changes to the defaults cannot alter it.
+const INITIAL_FIELDS = [
+  { key: 'name', type: 'text', required: true },
+  { key: 'birth_date', type: 'date', required: true },
+  { key: 'country', type: 'country', required: true },
+  { key: 'phone', type: 'phone', required: true },
+  {
+    key: 'sex',
+    type: 'select',
+    required: true,
+    options: [
+      { value: 'Female' },
+      { value: 'Male' },
+      { value: 'Other' },
+      { value: 'Prefer not to say' },
+    ],
+  },
+  { key: 'details', type: 'textarea', required: false },
+];
+
+module.exports = {
+  async up(client) {
+    // Every edit inserts a new version; the highest id is the live form.
+    // Tokens point at the version they were answered with.
+    await client.query(`
+      CREATE TABLE intake_forms (
+        id SERIAL PRIMARY KEY,
+        fields JSONB NOT NULL,
+        created_by INT REFERENCES staff_users(id),
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`INSERT INTO intake_forms (fields) VALUES ($1)`, [
+      JSON.stringify(INITIAL_FIELDS),
+    ]);
+
+    await client.query(`
+      ALTER TABLE tokens
+      ADD COLUMN answers JSONB,
+      ADD COLUMN form_id INT REFERENCES intake_forms(id)
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE tokens
+      DROP COLUMN form_id,
+      DROP COLUMN answers
+    `);
+    await client.query(`DROP TABLE intake_forms`);
+  },
+};
@@ -0,0 +1,21 @@
+module.exports = {
+  async up(client) {
+    // Links the Idempotency-Key of a successful /api/checkin to the token it
+    // created, so a kiosk retrying after a lost response gets the same token.
+    await client.query(`
+      CREATE TABLE checkin_idempotency_keys (
+        idempotency_key TEXT PRIMARY KEY,
+        token_id INT NOT NULL REFERENCES tokens(id) ON DELETE CASCADE,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+    await client.query(`
+      CREATE INDEX checkin_idempotency_keys_created_at_idx
+      ON checkin_idempotency_keys (created_at)
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE checkin_idempotency_keys`);
+  },
+};
@@ -0,0 +1,246 @@
+// Patient text notifications. Messages are written to `notification_outbox`
+// inside the caller's transaction and delivered later by a background worker,
+// so a slow or failing provider never holds up check-in or admission.
+
+const { logger } = require('../logger');
+
+const NOTIFY_PROVIDER = (process.env.NOTIFY_PROVIDER || 'none').trim().toLowerCase();
+const NOTIFY_CHANNEL = (process.env.NOTIFY_CHANNEL || 'sms').trim().toLowerCase();
+const NOTIFY_DEFAULT_COUNTRY_CODE = (process.env.NOTIFY_DEFAULT_COUNTRY_CODE || '').replace(/\D/g, '');
+const NOTIFY_MAX_ATTEMPTS = parseInt(process.env.NOTIFY_MAX_ATTEMPTS || '5', 10);
+const NOTIFY_POLL_MS = parseInt(process.env.NOTIFY_POLL_MS || '5000', 10);
+const NOTIFY_RETRY_SECONDS = parseInt(process.env.NOTIFY_RETRY_SECONDS || '30', 10);
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').trim().replace(/\/+$/, '');
+
+// A message claimed by a worker that then crashes becomes due again after this.
+const SEND_LEASE_SECONDS = 120;
+const BATCH_SIZE = 20;
+
+const NOTIFICATION_CHANNELS = ['sms', 'whatsapp'];
+
+const NOTIFICATION_KINDS = {
+  CHECKIN: 'checkin',
+  ALMOST_UP: 'almost_up',
+  ADMITTED: 'admitted',
+};
+
+const DEFAULT_TEMPLATES = {
+  checkin: 'You are checked in for {queue}. Your token is {token}.{status_link}',
+  almost_up: 'Token {token}: you are almost up in {queue}, {ahead} ahead of you. Please stay nearby.',
+  admitted: 'Token {token}: it is your turn. Please proceed to {queue} now.',
+};
+
+// Overridable per kind, e.g. NOTIFY_TEMPLATE_ALMOST_UP.
+const TEMPLATES = Object.fromEntries(
+  Object.entries(DEFAULT_TEMPLATES).map(([kind, template]) => [
+    kind,
+    process.env[`NOTIFY_TEMPLATE_${kind.toUpperCase()}`] || template,
+  ])
+);
+
+// A queued message stops making sense once the patient has moved on.
+const STILL_RELEVANT = {
+  almost_up: (status) => status === 'waiting',
+  admitted: (status) => status === 'allowed',
+};
+
+const PROVIDERS = {
+  file: () => require('./providers/file'),
+  twilio: () => require('./providers/twilio'),
+};
+
+let provider = null;
+
+function notificationsEnabled() {
+  return NOTIFY_PROVIDER !== 'none';
+}
+
+function getProvider() {
+  if (!provider) {
+    const load = PROVIDERS[NOTIFY_PROVIDER];
+    if (!load) {
+      throw new Error(`Unknown NOTIFY_PROVIDER "${NOTIFY_PROVIDER}"`);
+    }
+    provider = load().createProvider();
+  }
+  return provider;
+}
+
+function renderTemplate(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (match, key) =>
+    vars[key] === undefined || vars[key] === null ? match : String(vars[key])
+  );
+}
+
+// Providers expect E.164. Numbers typed without a "+" get the clinic's
+// default country code when one is configured.
+function normalizeRecipient(phone) {
+  const raw = String(phone || '').trim();
+  const digits = raw.replace(/\D/g, '');
+  if (!digits) {
+    return null;
+  }
+  if (raw.startsWith('+')) {
+    return `+${digits}`;
+  }
+  if (raw.startsWith('00')) {
+    return `+${digits.slice(2)}`;
+  }
+  return NOTIFY_DEFAULT_COUNTRY_CODE
+    ? `+${NOTIFY_DEFAULT_COUNTRY_CODE}${digits.replace(/^0+/, '')}`
+    : digits;
+}
+
+function statusLink(tokenKey) {
+  return PUBLIC_BASE_URL && tokenKey
+    ? ` Track your place: ${PUBLIC_BASE_URL}/status.html?token=${encodeURIComponent(tokenKey)}`
+    : '';
+}
+
+// Queues one message for a token. `patient` is a tokens row; `vars` fills the
+// remaining template placeholders ({queue}, {ahead}). Each kind is sent at
+// most once per token.
+async function enqueueNotification(client, kind, patient, vars = {}) {
+  if (!notificationsEnabled()) {
+    return;
+  }
+
+  const recipient = normalizeRecipient(patient.phone);
+  if (!recipient) {
+    return;
+  }
+
+  const body = renderTemplate(TEMPLATES[kind], {
+    token: patient.token,
+    name: patient.name,
+    status_link: statusLink(patient.token_key),
+    ...vars,
+  });
+
+  await client.query(
+    `INSERT INTO notification_outbox (token_id, kind, channel, recipient, body)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (token_id, kind) DO NOTHING`,
+    [patient.id, kind, NOTIFY_CHANNEL, recipient, body]
+  );
+}
+
+async function claimDueMessages(pool) {
+  const { rows } = await pool.query(
+    `UPDATE notification_outbox o
+     SET status = 'sending',
+         attempts = o.attempts + 1,
+         next_attempt_at = NOW() + make_interval(secs => $2)
+     FROM tokens t
+     WHERE t.id = o.token_id
+       AND o.id IN (
+         SELECT id FROM notification_outbox
+         WHERE status IN ('pending', 'sending') AND next_attempt_at <= NOW()
+         ORDER BY next_attempt_at ASC, id ASC
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+     RETURNING o.*, t.status AS token_status`,
+    [BATCH_SIZE, SEND_LEASE_SECONDS]
+  );
+  return rows;
+}
+
+async function deliver(pool, message) {
+  const stillRelevant = STILL_RELEVANT[message.kind];
+  if (stillRelevant && !stillRelevant(message.token_status)) {
+    await pool.query(
+      `UPDATE notification_outbox SET status = 'cancelled' WHERE id = $1`,
+      [message.id]
+    );
+    return;
+  }
+
+  const activeProvider = getProvider();
+
+  try {
+    const result = await activeProvider.send({
+      kind: message.kind,
+      channel: message.channel,
+      to: message.recipient,
+      body: message.body,
+    });
+
+    await pool.query(
+      `UPDATE notification_outbox
+       SET status = 'sent', sent_at = NOW(), provider = $2,
+           provider_message_id = $3, last_error = NULL
+       WHERE id = $1`,
+      [message.id, activeProvider.name, (result && result.id) || null]
+    );
+  } catch (error) {
+    // Back off exponentially: 30s, 60s, 120s... with the defaults.
+    const giveUp = message.attempts >= NOTIFY_MAX_ATTEMPTS;
+    const delaySeconds = NOTIFY_RETRY_SECONDS * 2 ** (message.attempts - 1);
+
+    await pool.query(
+      `UPDATE notification_outbox
+       SET status = $2, provider = $3, last_error = $4,
+           next_attempt_at = NOW() + make_interval(secs => $5)
+       WHERE id = $1`,
+      [
+        message.id,
+        giveUp ? 'failed' : 'pending',
+        activeProvider.name,
+        String(error.message || error).slice(0, 500),
+        delaySeconds,
+      ]
+    );
+  }
+}
+
+async function processOutbox(pool) {
+  const messages = await claimDueMessages(pool);
+  for (const message of messages) {
+    await deliver(pool, message);
+  }
+  return messages.length;
+}
+
+// Polls the outbox until the returned stop function is called. Several server
+// instances can run it at once: SKIP LOCKED keeps them from double-sending.
+function startOutboxWorker(pool) {
+  if (!notificationsEnabled()) {
+    return () => {};
+  }
+
+  if (!NOTIFICATION_CHANNELS.includes(NOTIFY_CHANNEL)) {
+    throw new Error(`NOTIFY_CHANNEL must be one of: ${NOTIFICATION_CHANNELS.join(', ')}`);
+  }
+
+  // Fail at startup rather than on the first send if the provider is misconfigured.
+  getProvider();
+
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      // Drain full batches before waiting for the next tick.
+      while ((await processOutbox(pool)) === BATCH_SIZE);
+    } catch (error) {
+      logger.error('Notification outbox error', { error });
+    } finally {
+      running = false;
+    }
+  }, NOTIFY_POLL_MS);
+  timer.unref();
+
+  logger.info('Notifications enabled', { provider: NOTIFY_PROVIDER, channel: NOTIFY_CHANNEL });
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  NOTIFICATION_KINDS,
+  notificationsEnabled,
+  enqueueNotification,
+  processOutbox,
+  startOutboxWorker,
+};
@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../../logger');
+
+// Writes outbound messages to a JSON-lines file instead of sending them, so
+// the whole flow can be exercised offline. The log only says one was written:
+// recipient and text stay in the file.
+// NOTIFY_FILE_FAIL_RATE (0-1) makes a share of sends fail to test retries.
+function createProvider() {
+  const filePath = path.resolve(process.env.NOTIFY_FILE_PATH || 'notifications.log');
+  const failRate = Number(process.env.NOTIFY_FILE_FAIL_RATE) || 0;
+
+  return {
+    name: 'file',
+    async send({ kind, channel, to, body }) {
+      if (failRate > 0 && Math.random() < failRate) {
+        throw new Error('Simulated delivery failure');
+      }
+
+      const id = `file-${crypto.randomUUID()}`;
+      const entry = { id, at: new Date().toISOString(), kind, channel, to, body };
+      await fs.promises.appendFile(filePath, `${JSON.stringify(entry)}\n`);
+      logger.info('Notification written to file', { id, kind, channel });
+
+      return { id };
+    },
+  };
+}
+
+module.exports = { createProvider };
@@ -0,0 +1,52 @@
+const TWILIO_API_URL = 'https://api.twilio.com/2010-04-01';
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Sends SMS and WhatsApp messages through the Twilio Messages API. WhatsApp
+// uses the same endpoint with "whatsapp:"-prefixed numbers.
+function createProvider() {
+  const accountSid = (process.env.TWILIO_ACCOUNT_SID || '').trim();
+  const authToken = (process.env.TWILIO_AUTH_TOKEN || '').trim();
+  const senders = {
+    sms: (process.env.TWILIO_SMS_FROM || '').trim(),
+    whatsapp: (process.env.TWILIO_WHATSAPP_FROM || '').trim(),
+  };
+
+  if (!accountSid || !authToken) {
+    throw new Error('NOTIFY_PROVIDER=twilio requires TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN');
+  }
+
+  const authorization = `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`;
+
+  return {
+    name: 'twilio',
+    async send({ channel, to, body }) {
+      const from = senders[channel];
+      if (!from) {
+        throw new Error(`No Twilio sender configured for channel "${channel}"`);
+      }
+
+      const prefix = channel === 'whatsapp' ? 'whatsapp:' : '';
+      const res = await fetch(
+        `${TWILIO_API_URL}/Accounts/${encodeURIComponent(accountSid)}/Messages.json`,
+        {
+          method: 'POST',
+          headers: {
+            Authorization: authorization,
+            'Content-Type': 'application/x-www-form-urlencoded',
+          },
+          body: new URLSearchParams({ From: prefix + from, To: prefix + to, Body: body }),
+          signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+        }
+      );
+
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        throw new Error(`Twilio responded ${res.status}: ${data.message || res.statusText}`);
+      }
+
+      return { id: data.sid };
+    },
+  };
+}
+
+module.exports = { createProvider };
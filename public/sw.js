@@ -0,0 +1,64 @@
+// Service worker for the check-in kiosk. It keeps the kiosk page, the fonts
+// and the data it is built from available when the clinic Wi-Fi drops. Each
+// request still goes to the network first, so a working connection always
+// gets the current form and services.
+//
+// Check-ins themselves are never cached: checkin.html queues failed
+// submissions and resends them with their Idempotency-Key.
+
+const CACHE_NAME = 'kiosk-v1';
+
+const KIOSK_PAGES = ['/', '/checkin.html'];
+const KIOSK_DATA = ['/api/queues', '/api/intake-form'];
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll([...KIOSK_PAGES, ...KIOSK_DATA]))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(names.filter((name) => name !== CACHE_NAME).map((name) => caches.delete(name)))
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+function shouldCache(request) {
+  if (request.method !== 'GET') return false;
+  const url = new URL(request.url);
+  if (FONT_HOSTS.includes(url.hostname)) return true;
+  if (url.origin !== self.location.origin) return false;
+  return KIOSK_PAGES.includes(url.pathname) || KIOSK_DATA.includes(url.pathname);
+}
+
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    // Opaque font responses have status 0 but are still worth keeping.
+    if (response.ok || response.type === 'opaque') {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    // ?lang= and ?queue= only matter to the page script, not to the cache.
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  if (shouldCache(event.request)) {
+    event.respondWith(networkFirst(event.request));
+  }
+});
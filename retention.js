@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+
+// Personal data retention. Finished visits older than RETENTION_DAYS lose the
+// patient's name, phone, free-text details, intake form answers and exact age;
+// the timestamps, country, sex and age band that analytics report on are kept.
+
+// Only when run as a command; the server has loaded .env already.
+if (require.main === module) {
+  require('dotenv').config();
+}
+const { logger } = require('./logger');
+
+const RETENTION_DAYS = parseInt(process.env.RETENTION_DAYS || '0', 10);
+const RETENTION_INTERVAL_HOURS = Number(process.env.RETENTION_INTERVAL_HOURS) || 24;
+// With a secret, phones are replaced by a keyed hash so repeat visitors can
+// still be counted; without one they are dropped entirely.
+const RETENTION_HASH_SECRET = process.env.RETENTION_HASH_SECRET || '';
+// Same idea as the migration lock: one purge at a time across instances.
+const RETENTION_LOCK_KEY = 727002;
+
+const TRIGGERS = {
+  SCHEDULE: 'schedule',
+  CLI: 'cli',
+};
+
+const ELIGIBLE_TOKENS_SQL = `
+  SELECT id FROM tokens
+  WHERE status IN ('done', 'closed')
+    AND finished_at < $1
+    AND anonymized_at IS NULL
+`;
+
+async function countEligible(client, cutoff) {
+  const { rows } = await client.query(
+    `WITH eligible AS (${ELIGIBLE_TOKENS_SQL})
+     SELECT
+       (SELECT COUNT(*) FROM eligible)::int AS tokens,
+       (SELECT COUNT(*) FROM notification_outbox
+        WHERE token_id IN (SELECT id FROM eligible))::int AS notifications,
+       (SELECT COUNT(*) FROM patients p
+        WHERE p.last_visit_at < $1
+          AND NOT EXISTS (
+            SELECT 1 FROM tokens t
+            WHERE t.patient_id = p.id AND t.id NOT IN (SELECT id FROM eligible)
+          ))::int AS patients`,
+    [cutoff]
+  );
+  return rows[0];
+}
+
+async function purge(client, cutoff) {
+  // Outbox rows repeat the phone number and the rendered message text.
+  const notificationsRes = await client.query(
+    `DELETE FROM notification_outbox
+     WHERE token_id IN (${ELIGIBLE_TOKENS_SQL})`,
+    [cutoff]
+  );
+
+  const tokensRes = await client.query(
+    `UPDATE tokens
+     SET name = NULL,
+         age = NULL,
+         details = NULL,
+         answers = NULL,
+         phone = CASE
+           WHEN $2 = '' OR phone IS NULL THEN NULL
+           ELSE 'sha256:' || encode(sha256(convert_to($2 || regexp_replace(phone, '\\D', '', 'g'), 'UTF8')), 'hex')
+         END,
+         patient_id = NULL,
+         anonymized_at = NOW()
+     WHERE id IN (${ELIGIBLE_TOKENS_SQL})`,
+    [cutoff, RETENTION_HASH_SECRET]
+  );
+
+  // Returning-patient records go once their last visit is past the cutoff.
+  const patientsRes = await client.query(
+    `DELETE FROM patients p
+     WHERE p.last_visit_at < $1
+       AND NOT EXISTS (SELECT 1 FROM tokens t WHERE t.patient_id = p.id)`,
+    [cutoff]
+  );
+
+  return {
+    tokens: tokensRes.rowCount,
+    notifications: notificationsRes.rowCount,
+    patients: patientsRes.rowCount,
+  };
+}
+
+async function recordRun(pool, run) {
+  await pool.query(
+    `INSERT INTO retention_runs
+       (trigger, dry_run, retention_days, cutoff, tokens_anonymized,
+        notifications_deleted, patients_deleted, error, started_at, finished_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())`,
+    [
+      run.trigger,
+      run.dryRun,
+      run.days,
+      run.cutoff,
+      run.counts.tokens,
+      run.counts.notifications,
+      run.counts.patients,
+      run.error,
+      run.startedAt,
+    ]
+  );
+}
+
+// Applies the policy once. Every run, dry or not, is written to
+// `retention_runs`. Returns the counts, or null when another instance holds
+// the lock.
+async function runRetention(
+  pool,
+  { days = RETENTION_DAYS, dryRun = false, trigger = TRIGGERS.SCHEDULE, log = console.log } = {}
+) {
+  if (!Number.isInteger(days) || days <= 0) {
+    throw new Error('Retention days must be a positive integer');
+  }
+
+  const startedAt = new Date();
+  const cutoff = new Date(startedAt.getTime() - days * 24 * 60 * 60 * 1000);
+  const run = {
+    trigger,
+    dryRun,
+    days,
+    cutoff,
+    startedAt,
+    counts: { tokens: 0, notifications: 0, patients: 0 },
+    error: null,
+  };
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query('SELECT pg_try_advisory_xact_lock($1) AS locked', [
+      RETENTION_LOCK_KEY,
+    ]);
+    if (!rows[0].locked) {
+      await client.query('ROLLBACK');
+      log('Retention run skipped: another run is in progress');
+      return null;
+    }
+
+    run.counts = dryRun ? await countEligible(client, cutoff) : await purge(client, cutoff);
+    await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    run.error = String(error.message || error).slice(0, 500);
+    await recordRun(pool, run).catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await recordRun(pool, run);
+  log(
+    `${dryRun ? 'Would anonymize' : 'Anonymized'} ${run.counts.tokens} visit(s) finished before ` +
+      `${cutoff.toISOString()}, ${dryRun ? 'would delete' : 'deleted'} ` +
+      `${run.counts.notifications} notification(s) and ${run.counts.patients} patient record(s)`
+  );
+  return run.counts;
+}
+
+// Runs the policy now and then every RETENTION_INTERVAL_HOURS until the
+// returned stop function is called. Disabled unless RETENTION_DAYS is set.
+function startRetentionJob(pool) {
+  if (RETENTION_DAYS <= 0) {
+    return () => {};
+  }
+
+  const runScheduled = () =>
+    runRetention(pool, { log: (message) => logger.info(message) }).catch((error) => {
+      logger.error('Retention run error', { error });
+    });
+
+  const timer = setInterval(runScheduled, RETENTION_INTERVAL_HOURS * 60 * 60 * 1000);
+  timer.unref();
+  runScheduled();
+
+  logger.info('Data retention enabled', {
+    days: RETENTION_DAYS,
+    interval_hours: RETENTION_INTERVAL_HOURS,
+  });
+  return () => clearInterval(timer);
+}
+
+function printUsage() {
+  console.log(
+    [
+      'Usage: npm run retention -- [--dry-run] [--days N]',
+      '',
+      'Options:',
+      '  --dry-run   Report what would be anonymized without changing anything',
+      '  --days N    Retention period in days (default RETENTION_DAYS)',
+    ].join('\n')
+  );
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  let days = RETENTION_DAYS;
+  let dryRun = false;
+
+  for (let i = 0; i < args.length; i += 1) {
+    if (args[i] === '--dry-run') {
+      dryRun = true;
+    } else if (args[i] === '--days') {
+      days = Number(args[i + 1]);
+      i += 1;
+    } else {
+      printUsage();
+      process.exitCode = args[i] === 'help' || args[i] === '--help' ? 0 : 1;
+      return;
+    }
+  }
+
+  if (!Number.isInteger(days) || days <= 0) {
+    console.error('Set RETENTION_DAYS or pass --days N with a positive whole number of days');
+    process.exitCode = 1;
+    return;
+  }
+
+  const { createPool } = require('./db');
+  const pool = createPool();
+
+  try {
+    await runRetention(pool, { days, dryRun, trigger: TRIGGERS.CLI });
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Retention failed:', error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  runRetention,
+  startRetentionJob,
+};
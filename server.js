@@ -1,60 +1,165 @@
 const path = require('path');
+const crypto = require('crypto');
+const util = require('util');
 const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
-const { Pool } = require('pg');
 require('dotenv').config();
+const { createPool } = require('./db');
+const { publishEvent } = require('./events');
+const { notificationsEnabled, startOutboxWorker } = require('./notifications');
+const { startRetentionJob } = require('./retention');
+const { validateFormFields, validateAnswers, isValidChoice } = require('./intake-form');
+const { STORAGE_BACKEND, createStorage } = require('./storage');
+const {
+  ticketLinksConfigured,
+  baseUrlFor,
+  buildTicket,
+  renderQrSvg,
+  renderEscPos,
+} = require('./tickets');
+const { createMetrics } = require('./metrics');
+const { LOG_LEVEL, logger, requestLogging } = require('./logger');
+const {
+  PRIORITY_LEVELS,
+  CAPACITY_POLICY,
+  AUTO_FINISH_MINUTES,
+  QUEUE_EVENTS,
+  EVENT_SOURCES,
+  normalizeToken,
+  pickDefaultQueue,
+} = require('./storage/common');
 
 const MAX_ALLOWED = parseInt(process.env.MAX_ALLOWED || '20', 10);
 const STAFF_USER = (process.env.STAFF_USER || '').trim();
 const STAFF_PASS = (process.env.STAFF_PASS || '').trim();
-const STAFF_REALM = process.env.STAFF_REALM || 'Clinic Staff Access';
-
-const DEFAULT_POOL_OPTS = {
-  user: process.env.DB_USER || 'clinic',
-  host: process.env.DB_HOST || 'localhost',
-  database: process.env.DB_NAME || 'clinicdb',
-  password: process.env.DB_PASSWORD || 'clinicpass',
-  port: Number(process.env.DB_PORT) || 5432,
-};
 
-const pool = new Pool(
-  process.env.DATABASE_URL
-    ? {
-        connectionString: process.env.DATABASE_URL,
-        ssl:
-          process.env.DB_SSL === 'require'
-            ? { rejectUnauthorized: false }
-            : undefined,
-      }
-    : DEFAULT_POOL_OPTS
-);
+// Queues, sessions and tokens go through `storage`. Everything else (accounts
+// management, the intake form editor, reports, notifications, retention) still
+// uses the pool directly and is unavailable with STORAGE=memory, where `pool`
+// is null.
+const pool = STORAGE_BACKEND === 'postgres' ? createPool() : null;
+const storage = createStorage({ pool });
+
+// ISO 639-1 code of the language the patient used at the kiosk.
+const LANGUAGE_PATTERN = /^[a-z]{2,3}$/;
+const DEFAULT_LANGUAGE = 'en';
+
+// Check-in failures carry a stable `code` so the kiosk can show the message in
+// the patient's language; `error` stays as the English fallback.
+const CHECKIN_ERRORS = {
+  MISSING_FIELDS: 'Missing required fields',
+  INVALID_AGE: 'Invalid age',
+  INVALID_SEX: 'Invalid sex selection',
+  INVALID_ANSWER: 'Invalid or missing answer',
+  INVALID_IDEMPOTENCY_KEY: 'Invalid Idempotency-Key header',
+  PHONE_REQUIRED: 'Phone number is required',
+  INVALID_PHONE: 'Invalid phone number',
+  INVALID_LANGUAGE: 'Invalid language',
+  INVALID_BIRTH_DATE: 'Invalid birth date',
+  PATIENT_NOT_FOUND: 'No matching patient record',
+  INVALID_QUEUE: 'Invalid queue selection',
+  CHECKIN_CLOSED: 'Check-in is closed: no clinic session is open',
+  CHECKIN_PAUSED: 'Check-in has been closed by staff',
+  RATE_LIMITED: 'Too many check-in attempts, please try again later',
+  CHECKIN_FAILED: 'Check-in failed',
+};
 
-const ALLOWED_SEX_VALUES = new Set(['Female', 'Male', 'Other', 'Prefer not to say']);
+const PRIORITY_AGE_THRESHOLD = parseInt(process.env.PRIORITY_AGE_THRESHOLD || '65', 10);
+// /api/checkin attempts allowed per client IP and per phone number within
+// each window. 0 turns a limit off.
+const CHECKIN_RATE_WINDOW_SECONDS = parseInt(process.env.CHECKIN_RATE_WINDOW_SECONDS || '600', 10);
+const CHECKIN_LIMIT_PER_IP = parseInt(process.env.CHECKIN_LIMIT_PER_IP || '60', 10);
+const CHECKIN_LIMIT_PER_PHONE = parseInt(process.env.CHECKIN_LIMIT_PER_PHONE || '5', 10);
+// /api/patients/lookup attempts, counted separately over the same window. The
+// phone limit is what stops birth dates being tried one after another.
+const LOOKUP_LIMIT_PER_IP = parseInt(process.env.LOOKUP_LIMIT_PER_IP || '20', 10);
+const LOOKUP_LIMIT_PER_PHONE = parseInt(process.env.LOOKUP_LIMIT_PER_PHONE || '3', 10);
+// Kiosk-generated Idempotency-Key values; see IDEMPOTENCY_KEY_TTL_HOURS.
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+const PRIORITY_URGENT_KEYWORDS = (
+  process.env.PRIORITY_URGENT_KEYWORDS ||
+  'chest pain,bleeding,breathing,unconscious,seizure,faint,pregnan,allergic reaction'
+)
+  .split(',')
+  .map((keyword) => keyword.trim().toLowerCase())
+  .filter(Boolean);
+
+// Other origins allowed to open Socket.IO connections, comma-separated. Pages
+// served by this app are same-origin and need nothing here.
+const SOCKET_CORS_ORIGINS = (process.env.SOCKET_CORS_ORIGINS || '')
+  .split(',')
+  .map((origin) => origin.trim())
+  .filter(Boolean);
 
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server, {
-  cors: {
-    origin: '*',
-    methods: ['GET', 'POST'],
-  },
+  cors: SOCKET_CORS_ORIGINS.length
+    ? { origin: SOCKET_CORS_ORIGINS, methods: ['GET', 'POST'], credentials: true }
+    : undefined,
 });
+// The default namespace is public (display boards, status page) and only ever
+// sees token numbers and masked names. Full patient rows go to `/staff`, which
+// requires a desk login.
+const staffIo = io.of('/staff');
+const metrics = createMetrics({ storage, pool, io });
+// Set once migrations, the bootstrap admin and the event listener are done.
+let started = false;
+
+// Roles are ordered by privilege: each role can do everything the roles
+// before it can.
+const STAFF_ROLES = ['display', 'desk', 'admin'];
+const SESSION_COOKIE = 'staff_session';
+const SESSION_TTL_HOURS = parseInt(process.env.STAFF_SESSION_HOURS || '12', 10);
+const SESSION_COOKIE_SECURE = process.env.STAFF_COOKIE_SECURE === 'true';
+const MIN_PASSWORD_LENGTH = 8;
+
+const scrypt = util.promisify(crypto.scrypt);
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const derived = await scrypt(password, salt, 64);
+  return `scrypt:${salt.toString('hex')}:${derived.toString('hex')}`;
+}
 
-let staffConfigWarned = false;
+async function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || '').split(':');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) {
+    return false;
+  }
 
-function staffCredentialsConfigured() {
-  return Boolean(STAFF_USER && STAFF_PASS);
+  const expected = Buffer.from(hashHex, 'hex');
+  const derived = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(derived, expected);
 }
 
-function warnIfStaffMissing() {
-  if (!staffCredentialsConfigured() && !staffConfigWarned) {
-    console.warn(
-      'Staff access is disabled: set STAFF_USER and STAFF_PASS to enable protected routes.'
-    );
-    staffConfigWarned = true;
+function hashSessionToken(sessionToken) {
+  return crypto.createHash('sha256').update(sessionToken).digest('hex');
+}
+
+function parseCookies(cookieHeader) {
+  const cookies = {};
+  if (!cookieHeader || typeof cookieHeader !== 'string') {
+    return cookies;
   }
+
+  cookieHeader.split(';').forEach((pair) => {
+    const separatorIndex = pair.indexOf('=');
+    if (separatorIndex === -1) {
+      return;
+    }
+    const key = pair.slice(0, separatorIndex).trim();
+    const value = pair.slice(separatorIndex + 1).trim();
+    try {
+      cookies[key] = decodeURIComponent(value);
+    } catch (error) {
+      cookies[key] = value;
+    }
+  });
+
+  return cookies;
 }
 
 function decodeBasicAuth(authHeader) {
@@ -90,433 +195,1920 @@ function decodeBasicAuth(authHeader) {
   };
 }
 
-function hasValidStaffAuth(authHeader) {
-  if (!staffCredentialsConfigured()) {
-    return false;
+function normalizeUsername(username) {
+  return String(username || '').trim().toLowerCase();
+}
+
+function publicStaffUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    active: user.active,
+    created_at: user.created_at,
+    last_login_at: user.last_login_at,
+  };
+}
+
+async function findStaffByCredentials(username, password) {
+  const user = await storage.findActiveStaffUser(normalizeUsername(username));
+  if (!user || !(await verifyPassword(password, user.password_hash))) {
+    return null;
   }
+  return user;
+}
 
-  const credentials = decodeBasicAuth(authHeader);
-  if (!credentials) {
-    return false;
+async function findStaffBySession(sessionToken) {
+  if (!sessionToken) {
+    return null;
   }
 
-  return (
-    credentials.username === STAFF_USER && credentials.password === STAFF_PASS
-  );
+  return storage.findStaffBySession(hashSessionToken(sessionToken));
 }
 
-function requireStaff(req, res, next) {
-  warnIfStaffMissing();
+// Browsers use the session cookie set by /api/login; scripts and curl may
+// still send Basic credentials for a staff account. Takes raw header values so
+// Socket.IO handshakes can be checked the same way as HTTP requests.
+async function authenticateStaffHeaders({ cookie, authorization }) {
+  const sessionUser = await findStaffBySession(parseCookies(cookie)[SESSION_COOKIE]);
+  if (sessionUser) {
+    return sessionUser;
+  }
 
-  if (!staffCredentialsConfigured()) {
-    return res.status(503).send('Staff access not configured');
+  const credentials = decodeBasicAuth(authorization);
+  if (credentials) {
+    return findStaffByCredentials(credentials.username, credentials.password);
   }
 
-  if (hasValidStaffAuth(req.get('authorization'))) {
+  return null;
+}
+
+function authenticateStaff(req) {
+  return authenticateStaffHeaders({
+    cookie: req.get('cookie'),
+    authorization: req.get('authorization'),
+  });
+}
+
+function hasRole(user, minimumRole) {
+  return STAFF_ROLES.indexOf(user.role) >= STAFF_ROLES.indexOf(minimumRole);
+}
+
+function requireStaff(minimumRole = 'desk') {
+  return async (req, res, next) => {
+    let user;
+    try {
+      user = await authenticateStaff(req);
+    } catch (error) {
+      logger.error('Staff authentication error', { error });
+      return res.status(500).json({ error: 'Authentication failed' });
+    }
+
+    const isApi = req.path.startsWith('/api/');
+
+    if (!user) {
+      if (isApi) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+
+    if (!hasRole(user, minimumRole)) {
+      if (isApi) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+      }
+      return res.status(403).send('Your account cannot open this page');
+    }
+
+    req.staff = publicStaffUser(user);
     return next();
+  };
+}
+
+async function createSession(userId) {
+  const sessionToken = crypto.randomBytes(32).toString('hex');
+
+  await storage.createStaffSession({
+    tokenHash: hashSessionToken(sessionToken),
+    userId,
+    ttlHours: SESSION_TTL_HOURS,
+  });
+
+  return sessionToken;
+}
+
+function sessionCookieOptions() {
+  return {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: SESSION_COOKIE_SECURE,
+    path: '/',
+  };
+}
+
+// Lets existing STAFF_USER/STAFF_PASS deployments keep working: the pair
+// becomes the first admin account, and is ignored once any account exists.
+async function ensureBootstrapAdmin() {
+  if ((await storage.countStaffUsers()) > 0) {
+    return;
   }
 
-  res.set('WWW-Authenticate', `Basic realm="${STAFF_REALM}"`);
-  return res.status(401).send('Authentication required');
+  if (!STAFF_USER || !STAFF_PASS) {
+    logger.warn(
+      'No staff accounts exist: set STAFF_USER and STAFF_PASS to create the first admin.'
+    );
+    return;
+  }
+
+  await storage.createStaffUser({
+    username: normalizeUsername(STAFF_USER),
+    passwordHash: await hashPassword(STAFF_PASS),
+    role: 'admin',
+  });
+  logger.info('Created bootstrap admin account', { staff: normalizeUsername(STAFF_USER) });
 }
 
-warnIfStaffMissing();
+// Behind a reverse proxy, set TRUST_PROXY (e.g. "1" for one hop) so req.ip is
+// the patient's address and not the proxy's; check-in rate limits use it.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY.trim();
+  app.set(
+    'trust proxy',
+    trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy
+  );
+}
+
+if (!ticketLinksConfigured()) {
+  logger.warn(
+    'Tickets cannot be printed: set PUBLIC_BASE_URL, or TICKET_HOSTS to the hosts kiosks use.'
+  );
+}
 
+app.use(requestLogging);
+app.use(metrics.observeRequests);
 app.use(cors());
 app.use(express.json());
 
-async function ensureTokensTable() {
-  const client = await pool.connect();
-  try {
-    await client.query('BEGIN');
+// Liveness: the process is up and serving requests.
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok' });
+});
 
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS tokens (
-        id SERIAL PRIMARY KEY,
-        token TEXT NOT NULL UNIQUE,
-        name TEXT NOT NULL,
-        age INT NOT NULL,
-        country TEXT NOT NULL,
-        details TEXT,
-        status TEXT NOT NULL DEFAULT 'waiting',
-        admitted_at TIMESTAMP,
-        finished_at TIMESTAMP,
-        created_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
+const READY_TIMEOUT_MS = parseInt(process.env.READY_TIMEOUT_MS || '2000', 10);
+let lastReadyError = null;
 
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS tokens_status_idx ON tokens(status)
-    `);
+// Readiness: startup has finished and storage answers with the schema
+// migrated. Failures are logged when they start and when they clear, not on
+// every probe.
+app.get('/readyz', async (req, res) => {
+  if (!started) {
+    return res.status(503).json({ status: 'starting' });
+  }
 
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS tokens_token_idx ON tokens(token)
-    `);
+  let timer;
+  try {
+    await Promise.race([
+      storage.checkReady(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(
+          () => reject(new Error(`No answer within ${READY_TIMEOUT_MS}ms`)),
+          READY_TIMEOUT_MS
+        );
+      }),
+    ]);
+    if (lastReadyError) {
+      logger.info('Storage ready again');
+      lastReadyError = null;
+    }
+    res.json({ status: 'ready', storage: storage.name });
+  } catch (error) {
+    if (lastReadyError !== error.message) {
+      logger.error('Readiness check failed', { error });
+      lastReadyError = error.message;
+    }
+    res.status(503).json({ status: 'unavailable', storage: storage.name, error: error.message });
+  } finally {
+    clearTimeout(timer);
+  }
+});
 
-    await client.query(`
-      ALTER TABLE tokens
-      ADD COLUMN IF NOT EXISTS sex TEXT,
-      ADD COLUMN IF NOT EXISTS phone TEXT
-    `);
+const METRICS_TOKEN = (process.env.METRICS_TOKEN || '').trim();
 
-    await client.query('COMMIT');
-    console.log('Tokens table ensured');
+app.get('/metrics', async (req, res) => {
+  if (METRICS_TOKEN) {
+    const expected = crypto.createHash('sha256').update(`Bearer ${METRICS_TOKEN}`).digest();
+    const given = crypto.createHash('sha256').update(req.get('Authorization') || '').digest();
+    if (!crypto.timingSafeEqual(given, expected)) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+  }
+
+  try {
+    res.set('Content-Type', metrics.contentType);
+    res.send(await metrics.render());
   } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('Failed to ensure tokens table:', error);
-    throw error;
-  } finally {
-    client.release();
+    logger.error('Metrics error', { error });
+    res.status(500).json({ error: 'Failed to collect metrics' });
+  }
+});
+
+// Routes outside the storage interface query their own tables, so only the
+// postgres backend can serve them.
+const POSTGRES_ONLY_ROUTES = [
+  ['get', '/api/retention/runs'],
+  ['get', '/api/staff-users'],
+  ['post', '/api/staff-users'],
+  ['patch', '/api/staff-users/:id'],
+  ['post', '/api/staff-users/:id/reset-password'],
+  ['put', '/api/intake-form'],
+  ['get', '/api/analytics/:report'],
+];
+
+function requirePostgres(req, res, next) {
+  if (!pool) {
+    return res.status(501).json({ error: `Not available with STORAGE=${STORAGE_BACKEND}` });
   }
+  return next();
 }
 
-app.get(['/staff', '/staff.html'], requireStaff, (req, res) => {
+POSTGRES_ONLY_ROUTES.forEach(([method, route]) => app[method](route, requirePostgres));
+
+app.get(['/staff', '/staff.html'], requireStaff('desk'), (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'staff.html'));
 });
 
-app.get(['/display', '/display.html'], requireStaff, (req, res) => {
+app.get(['/display', '/display.html'], requireStaff('display'), (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'display.html'));
 });
 
+app.get(['/reports', '/reports.html'], requireStaff('desk'), (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'reports.html'));
+});
+
 app.use(express.static(path.join(__dirname, 'public')));
 
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'checkin.html'));
 });
 
-pool
-  .query('SELECT NOW()')
-  .then(() => {
-    console.log('Database connected successfully');
-  })
-  .catch((err) => {
-    console.error('Database connection error:', err);
-  });
+app.get('/login', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'login.html'));
+});
+
+if (pool) {
+  pool
+    .query('SELECT NOW()')
+    .then(() => {
+      logger.info('Database connected successfully');
+    })
+    .catch((err) => {
+      logger.error('Database connection error', { error: err });
+    });
+}
 
 io.on('connection', (socket) => {
-  console.log('Client connected:', socket.id);
+  logger.debug('Socket connected', { namespace: '/' });
+
+  socket.on('join-queues', (slugs) => {
+    parseQueueSelection(slugs).forEach((slug) => {
+      socket.join(queueRoom(slug));
+    });
+  });
+
+  socket.on('watch-token', (token) => {
+    if (typeof token !== 'string' || !token.trim()) {
+      return;
+    }
+    socket.join(tokenRoom(token));
+  });
+
+  socket.on('unwatch-token', (token) => {
+    if (typeof token !== 'string' || !token.trim()) {
+      return;
+    }
+    socket.leave(tokenRoom(token));
+  });
 
   socket.on('disconnect', () => {
-    console.log('Client disconnected:', socket.id);
+    logger.debug('Socket disconnected', { namespace: '/' });
   });
 });
 
-ensureTokensTable().catch((error) => {
-  console.error('Schema initialization error:', error);
-  process.exit(1);
+// Same credentials as the REST routes: the session cookie, or Basic auth in
+// the handshake headers. Checked once per connection.
+staffIo.use(async (socket, next) => {
+  try {
+    const user = await authenticateStaffHeaders(socket.handshake.headers);
+    if (!user) {
+      return next(new Error('Authentication required'));
+    }
+    if (!hasRole(user, 'desk')) {
+      return next(new Error('Insufficient permissions'));
+    }
+    socket.data.staff = publicStaffUser(user);
+    return next();
+  } catch (error) {
+    logger.error('Staff socket authentication error', { error });
+    return next(new Error('Authentication failed'));
+  }
 });
 
-function formatToken(id) {
-  return `T${id}`;
-}
+staffIo.on('connection', (socket) => {
+  logger.debug('Socket connected', { namespace: '/staff', staff: socket.data.staff.username });
 
-async function getAllowedPatients(client) {
-  const { rows } = await client.query(
-    `SELECT * FROM tokens
-     WHERE status = 'allowed'
-     ORDER BY admitted_at ASC NULLS FIRST, id ASC
-     LIMIT $1`,
-    [MAX_ALLOWED]
-  );
-  return rows;
-}
+  socket.on('join-queues', (slugs) => {
+    parseQueueSelection(slugs).forEach((slug) => {
+      socket.join(queueRoom(slug));
+    });
+  });
 
-async function makeRoomFor(client, slotsNeeded) {
-  const tokensFinished = [];
+  socket.on('disconnect', () => {
+    logger.debug('Socket disconnected', {
+      namespace: '/staff',
+      staff: socket.data.staff.username,
+    });
+  });
+});
 
-  while (slotsNeeded > 0) {
-    const countRes = await client.query(
-      `SELECT COUNT(*)::int AS count
-       FROM tokens
-       WHERE status = 'allowed'`
-    );
-    const allowedCount = countRes.rows[0].count;
-
-    if (allowedCount < MAX_ALLOWED) {
-      break;
-    }
-
-    const oldestRes = await client.query(
-      `UPDATE tokens
-       SET status = 'done', finished_at = NOW()
-       WHERE id = (
-         SELECT id FROM tokens
-         WHERE status = 'allowed'
-         ORDER BY admitted_at ASC NULLS FIRST, id ASC
-         LIMIT 1
-       )
-       RETURNING token`
-    );
+// An open socket outlives the session it was authenticated with, so drop it
+// when the account is disabled, demoted or has its password reset. The page
+// reconnects and is sent to /login if it no longer qualifies.
+async function disconnectStaffSockets(userId) {
+  const sockets = await staffIo.fetchSockets();
+  sockets
+    .filter((socket) => socket.data.staff && socket.data.staff.id === userId)
+    .forEach((socket) => socket.disconnect(true));
+}
 
-    if (!oldestRes.rows.length) {
-      break;
+storage
+  .prepare()
+  .then(ensureBootstrapAdmin)
+  .then(() => {
+    storage.subscribe({ handler: relayQueueEvent, onReconnect: resyncClients });
+    started = true;
+    if (CAPACITY_POLICY === 'auto_finish') {
+      startAutoFinishSweeper();
+    }
+    if (!pool) {
+      if (notificationsEnabled()) {
+        logger.warn('Notifications need STORAGE=postgres: nothing will be sent');
+      }
+      return;
     }
+    startOutboxWorker(pool);
+    startRetentionJob(pool);
+  })
+  .catch((error) => {
+    logger.error('Schema initialization error', { error });
+    process.exit(1);
+  });
+
+const QUEUE_SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+const QUEUE_PREFIX_PATTERN = /^[A-Z]{1,3}$/;
+
+function triagePriority({ age, details }) {
+  const text = String(details || '').toLowerCase();
+  if (PRIORITY_URGENT_KEYWORDS.some((keyword) => text.includes(keyword))) {
+    return PRIORITY_LEVELS.indexOf('urgent');
+  }
+  if (Number.isFinite(age) && age >= PRIORITY_AGE_THRESHOLD) {
+    return PRIORITY_LEVELS.indexOf('high');
+  }
+  return PRIORITY_LEVELS.indexOf('normal');
+}
 
-    tokensFinished.push(oldestRes.rows[0].token);
-    slotsNeeded -= 1;
+function parsePriority(value) {
+  if (typeof value === 'string' && PRIORITY_LEVELS.includes(value.trim().toLowerCase())) {
+    return PRIORITY_LEVELS.indexOf(value.trim().toLowerCase());
   }
+  if (Number.isInteger(value) && value >= 0 && value < PRIORITY_LEVELS.length) {
+    return value;
+  }
+  return null;
+}
 
-  return tokensFinished;
+function tokenRoom(tokenKey) {
+  return `token:${normalizeToken(tokenKey)}`;
 }
 
-async function setPatientAllowed(client, token) {
-  const normalizedToken = token.trim().toUpperCase();
-  const patientRes = await client.query(
-    `SELECT * FROM tokens
-     WHERE token = $1
-     FOR UPDATE`,
-    [normalizedToken]
-  );
+function queueRoom(slug) {
+  return `queue:${slug}`;
+}
 
-  if (!patientRes.rows.length) {
-    return { notFound: true };
-  }
+// Public namespace: never pass patient rows here, see publicTokenView().
+function emitToQueue(queue, event, payload) {
+  io.to(queueRoom(queue.slug)).emit(event, payload);
+}
 
-  const patient = patientRes.rows[0];
+function emitToStaff(queue, event, payload) {
+  staffIo.to(queueRoom(queue.slug)).emit(event, payload);
+}
 
-  if (patient.status === 'done') {
-    return { notFound: true };
+// "Maria Lopez Garcia" -> "Maria L. G.": enough for a patient to recognise
+// themselves on the board without publishing their full name.
+function maskName(name) {
+  const parts = String(name || '').trim().split(/\s+/).filter(Boolean);
+  if (!parts.length) {
+    return null;
   }
+  return [parts[0], ...parts.slice(1).map((part) => `${part[0].toUpperCase()}.`)].join(' ');
+}
+
+// What display boards may know about a token.
+function publicTokenView(row) {
+  return {
+    token: row.token,
+    name: maskName(row.name),
+    status: row.status,
+    queue_id: row.queue_id,
+    admitted_at: row.admitted_at,
+  };
+}
+
+function emitAllowedUpdate(queue, allowed) {
+  emitToStaff(queue, 'allowed-update', { queue: queue.slug, allowed });
+  emitToQueue(queue, 'allowed-update', {
+    queue: queue.slug,
+    allowed: allowed.map(publicTokenView),
+  });
+}
+
+function emitPatientFinished(queue, token) {
+  emitToStaff(queue, 'patient-finished', token);
+  emitToQueue(queue, 'patient-finished', token);
+}
+
+function emitSessionChanged(session) {
+  staffIo.emit('session-changed', { session });
+  io.emit('session-changed', {
+    session: session && { session_key: session.session_key, status: session.status },
+  });
+}
+
+// Accepts "a,b", ["a", "b"] or a single slug and returns the valid, distinct
+// slugs. Unknown-but-well-formed slugs are filtered later against the table.
+function parseQueueSelection(value) {
+  const raw = Array.isArray(value) ? value : String(value || '').split(',');
+  const slugs = raw
+    .map((slug) => String(slug || '').trim().toLowerCase())
+    .filter((slug) => QUEUE_SLUG_PATTERN.test(slug));
+  return [...new Set(slugs)];
+}
+
+async function getDefaultQueue() {
+  return pickDefaultQueue(await storage.listQueues());
+}
+
+// Resolves the `queue` query/body parameter. An empty selection means every
+// active queue; `null` is returned when any requested slug does not exist.
+async function resolveQueueSelection(value) {
+  const queues = await storage.listQueues({ includeInactive: true });
+  const slugs = parseQueueSelection(value);
 
-  if (patient.status === 'allowed') {
-    return { patient, tokensFinished: [] };
+  if (!slugs.length) {
+    return queues.filter((queue) => queue.active);
   }
 
-  const tokensFinished = await makeRoomFor(client, 1);
+  const selected = slugs.map((slug) => queues.find((queue) => queue.slug === slug));
+  return selected.every(Boolean) ? selected : null;
+}
 
-  const updateRes = await client.query(
-    `UPDATE tokens
-     SET status = 'allowed', admitted_at = NOW()
-     WHERE id = $1
-     RETURNING *`,
-    [patient.id]
-  );
+function roomHasListeners(room) {
+  const members = io.sockets.adapter.rooms.get(room);
+  return Boolean(members && members.size);
+}
+
+async function emitTokenStatus(tokenKey) {
+  const room = tokenRoom(tokenKey);
+  if (!roomHasListeners(room)) {
+    return;
+  }
 
-  return { patient: updateRes.rows[0], tokensFinished };
+  try {
+    const status = await storage.getTokenStatus(tokenKey);
+    if (status) {
+      io.to(room).emit('token-status', status);
+    }
+  } catch (error) {
+    logger.error('Token status broadcast error', { error });
+  }
 }
 
-async function nextIdentity(client) {
-  const seqRes = await client.query(
-    `SELECT pg_get_serial_sequence('tokens', 'id') AS seq_name`
-  );
-  const sequenceName = seqRes.rows[0]?.seq_name;
+// Waiting positions shift whenever anyone ahead is admitted or removed, so
+// refresh every watched waiting token in one pass.
+async function broadcastQueuePositions() {
+  try {
+    const rows = await storage.listWaitingStatuses();
 
-  if (!sequenceName) {
-    throw new Error('Unable to resolve sequence for tokens.id');
+    rows.forEach((row) => {
+      const room = tokenRoom(row.token_key);
+      if (roomHasListeners(room)) {
+        io.to(room).emit('token-status', row);
+      }
+    });
+  } catch (error) {
+    logger.error('Queue position broadcast error', { error });
   }
+}
 
-  const { rows: initialCountRows } = await client.query(
-    `SELECT COUNT(*)::int AS count FROM tokens`
-  );
-  const initialCount = Number(initialCountRows[0].count) || 0;
+// Refusal for an admission into a full queue under the reject and
+// auto_finish capacity policies.
+function queueFullMessage(queue) {
+  const message =
+    `${queue.name} is full: ${queue.capacity} patient(s) already admitted. ` +
+    'Finish or remove one before admitting another.';
+  return CAPACITY_POLICY === 'auto_finish'
+    ? `${message} Visits also end automatically after ${AUTO_FINISH_MINUTES} minutes.`
+    : message;
+}
 
-  if (initialCount === 0) {
-    await client.query('SELECT pg_advisory_xact_lock(42, 0)');
+// A patient the evict capacity policy finished to admit someone else.
+function evictionView(queue, finished) {
+  return {
+    token: finished.token,
+    token_key: finished.token_key,
+    reason: finished.reason,
+    message:
+      `Finished to make room for ${finished.admitted_token}: ` +
+      `${queue.name} was at capacity (${queue.capacity})`,
+  };
+}
 
-    const { rows: confirmRows } = await client.query(
-      `SELECT COUNT(*)::int AS count FROM tokens`
-    );
+const AUTO_FINISH_SWEEP_SECONDS = Number(process.env.AUTO_FINISH_SWEEP_SECONDS) || 60;
+
+// With CAPACITY_POLICY=auto_finish, ends visits that have run past
+// AUTO_FINISH_MINUTES so their slots free up without staff action. Safe on
+// every instance: each overdue patient is finished once.
+function startAutoFinishSweeper() {
+  const sweep = async () => {
+    try {
+      const finished = await storage.autoFinishOverdue(AUTO_FINISH_MINUTES);
+      finished.forEach((entry) => metrics.countCapacityAction(entry.queue, 'auto_finished'));
+      if (finished.length) {
+        logger.info('Auto-finished overdue visits', {
+          tokens: finished.map((entry) => entry.token_key),
+        });
+      }
+    } catch (error) {
+      logger.error('Auto-finish sweep error', { error });
+    }
+  };
 
-    const confirmCount = Number(confirmRows[0].count) || 0;
+  const timer = setInterval(sweep, AUTO_FINISH_SWEEP_SECONDS * 1000);
+  timer.unref();
+  sweep();
+
+  logger.info('Auto-finish enabled', {
+    minutes: AUTO_FINISH_MINUTES,
+    interval_seconds: AUTO_FINISH_SWEEP_SECONDS,
+  });
+  return () => clearInterval(timer);
+}
 
-    if (confirmCount === 0) {
-      await client.query(`SELECT setval($1::regclass, 1, false)`, [sequenceName]);
+// Turns a committed queue event into socket messages for this instance's
+// clients. Events carry ids only, so rows are read fresh here.
+async function relayQueueEvent(event) {
+  logger.debug('Relaying queue event', {
+    event: event.type,
+    queue: event.queue,
+    token: event.token,
+  });
+  switch (event.type) {
+    case QUEUE_EVENTS.NEW_PATIENT:
+    case QUEUE_EVENTS.PATIENT_UPDATED: {
+      const patient = await storage.getToken(event.token_id);
+      if (!patient) {
+        return;
+      }
+      if (event.type === QUEUE_EVENTS.NEW_PATIENT) {
+        patient.visit_count = patient.patient_id
+          ? await storage.countVisits(patient.patient_id)
+          : 1;
+      }
+      emitToStaff({ slug: event.queue }, event.type, patient);
+      return;
     }
+    case QUEUE_EVENTS.ALLOWED_CHANGED: {
+      const queue = await storage.getQueueBySlug(event.queue);
+      if (queue) {
+        emitAllowedUpdate(queue, await storage.getAllowedPatients(queue));
+      }
+      return;
+    }
+    case QUEUE_EVENTS.PATIENT_FINISHED:
+      emitPatientFinished({ slug: event.queue }, event.token);
+      return;
+    case QUEUE_EVENTS.ANNOUNCE:
+      emitToQueue({ slug: event.queue }, 'announce', { queue: event.queue, token: event.token });
+      return;
+    case QUEUE_EVENTS.SESSION_CHANGED: {
+      const session = await storage.getSession(event.session_id);
+      emitSessionChanged(session && session.status === 'open' ? session : null);
+      return;
+    }
+    case QUEUE_EVENTS.TOKENS_CHANGED:
+      await Promise.all(event.token_keys.map((tokenKey) => emitTokenStatus(tokenKey)));
+      return;
+    case QUEUE_EVENTS.POSITIONS_CHANGED:
+      await broadcastQueuePositions();
+      return;
+    case QUEUE_EVENTS.STAFF_REVOKED:
+      await disconnectStaffSockets(event.user_id);
+      return;
+    default:
+      logger.warn('Ignoring unknown queue event', { event: event.type });
   }
+}
 
-  const { rows } = await client.query(
-    `SELECT nextval($1::regclass) AS id`,
-    [sequenceName]
-  );
-  return rows[0].id;
+// Events published while this instance's listener was reconnecting are lost.
+// A session-changed message makes staff pages and displays reload everything.
+async function resyncClients() {
+  emitSessionChanged(await storage.getOpenSession());
+  await broadcastQueuePositions();
 }
 
-// ============ API ENDPOINTS ============
+function validateQueueInput(body, { partial = false } = {}) {
+  const { slug, name, prefix, capacity, sortOrder, active } = body || {};
+  const values = {};
 
-app.post('/api/checkin', async (req, res) => {
-  const { name, age, country, details, sex, phone } = req.body || {};
+  if (slug !== undefined || !partial) {
+    const normalizedSlug = String(slug || '').trim().toLowerCase();
+    if (!QUEUE_SLUG_PATTERN.test(normalizedSlug)) {
+      return { error: 'Invalid queue slug' };
+    }
+    values.slug = normalizedSlug;
+  }
 
-  if (!name || !country) {
-    return res.status(400).json({ error: 'Missing required fields' });
+  if (name !== undefined || !partial) {
+    const trimmedName = String(name || '').trim();
+    if (!trimmedName) {
+      return { error: 'Queue name is required' };
+    }
+    values.name = trimmedName;
   }
 
-  const ageNumber = Number(age);
-  if (!Number.isFinite(ageNumber) || ageNumber < 0) {
-    return res.status(400).json({ error: 'Invalid age' });
+  if (prefix !== undefined || !partial) {
+    const normalizedPrefix = String(prefix || '').trim().toUpperCase();
+    if (!QUEUE_PREFIX_PATTERN.test(normalizedPrefix)) {
+      return { error: 'Token prefix must be 1-3 letters' };
+    }
+    values.prefix = normalizedPrefix;
   }
 
-  const normalizedSex = (sex || '').trim();
-  if (!ALLOWED_SEX_VALUES.has(normalizedSex)) {
-    return res.status(400).json({ error: 'Invalid sex selection' });
+  if (capacity !== undefined || !partial) {
+    const capacityNumber = capacity === undefined ? MAX_ALLOWED : Number(capacity);
+    if (!Number.isInteger(capacityNumber) || capacityNumber <= 0) {
+      return { error: 'Capacity must be a positive integer' };
+    }
+    values.capacity = capacityNumber;
   }
 
-  const rawPhone = (phone || '').trim();
-  const digitsOnly = rawPhone.replace(/\D/g, '');
-  if (!rawPhone) {
-    return res.status(400).json({ error: 'Phone number is required' });
+  if (sortOrder !== undefined) {
+    if (!Number.isInteger(sortOrder)) {
+      return { error: 'Sort order must be an integer' };
+    }
+    values.sort_order = sortOrder;
   }
-  if (digitsOnly.length < 7 || digitsOnly.length > 15) {
-    return res.status(400).json({ error: 'Invalid phone number' });
+
+  if (active !== undefined) {
+    values.active = Boolean(active);
   }
 
-  const client = await pool.connect();
+  return { values };
+}
 
-  try {
-    await client.query('BEGIN');
+function validateStaffUserInput(body, { partial = false } = {}) {
+  const { username, password, role, active } = body || {};
+  const values = {};
 
-    const nextId = await nextIdentity(client);
-    const token = formatToken(nextId);
+  if (username !== undefined || !partial) {
+    const normalized = normalizeUsername(username);
+    if (!/^[a-z0-9._-]{3,32}$/.test(normalized)) {
+      return { error: 'Username must be 3-32 letters, digits, dots, dashes or underscores' };
+    }
+    values.username = normalized;
+  }
 
-    const insertRes = await client.query(
-      `INSERT INTO tokens (id, token, name, age, country, details, status, sex, phone)
-       VALUES ($1, $2, $3, $4, $5, $6, 'waiting', $7, $8)
-       RETURNING *`,
-      [
-        nextId,
-        token,
-        name.trim(),
-        ageNumber,
-        country.trim(),
-        (details || '').trim() || null,
-        normalizedSex,
-        rawPhone,
-      ]
-    );
+  if (password !== undefined || !partial) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+    }
+    values.password = password;
+  }
 
-    const inserted = insertRes.rows[0];
+  if (role !== undefined || !partial) {
+    if (!STAFF_ROLES.includes(role)) {
+      return { error: `Role must be one of: ${STAFF_ROLES.join(', ')}` };
+    }
+    values.role = role;
+  }
 
-    await client.query('COMMIT');
+  if (active !== undefined) {
+    values.active = Boolean(active);
+  }
 
-    const patient = inserted;
-    io.emit('new-patient', patient);
+  return { values };
+}
 
-    res.json({
-      success: true,
-      token,
-      patient,
-    });
-  } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('Check-in error:', error);
-    res.status(500).json({ error: 'Check-in failed' });
-  } finally {
-    client.release();
-  }
-});
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_ANALYTICS_RANGE_DAYS = 366;
+const DEFAULT_ANALYTICS_RANGE_DAYS = 7;
 
-app.get('/api/patients', requireStaff, async (req, res) => {
-  try {
-    const { rows } = await pool.query(
-      `SELECT *
-       FROM tokens
-       WHERE status != 'done'
-       ORDER BY id ASC`
-    );
+function formatIsoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
 
-    res.json(rows);
-  } catch (error) {
-    console.error('Error fetching patients:', error);
-    res.status(500).json({ error: 'Failed to fetch patients' });
+function parseIsoDate(value) {
+  if (!ISO_DATE_PATTERN.test(String(value || ''))) {
+    return null;
   }
-});
+  const date = new Date(`${value}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) || formatIsoDate(date) !== value ? null : date;
+}
 
-app.get('/api/allowed', requireStaff, async (req, res) => {
-  try {
-    const allowed = await getAllowedPatients(pool);
-    res.json(allowed);
-  } catch (error) {
-    console.error('Error fetching allowed patients:', error);
-    res.status(500).json({ error: 'Failed to fetch allowed patients' });
+// Inclusive YYYY-MM-DD range; defaults to the last week ending today.
+function parseAnalyticsRange(query) {
+  const to = query.to ? parseIsoDate(query.to) : parseIsoDate(formatIsoDate(new Date()));
+  if (!to) {
+    return { error: 'Invalid "to" date, expected YYYY-MM-DD' };
   }
-});
 
-app.post('/api/admit/:token', requireStaff, async (req, res) => {
-  const { token } = req.params;
-  const client = await pool.connect();
+  const from = query.from
+    ? parseIsoDate(query.from)
+    : new Date(to.getTime() - (DEFAULT_ANALYTICS_RANGE_DAYS - 1) * 86400000);
+  if (!from) {
+    return { error: 'Invalid "from" date, expected YYYY-MM-DD' };
+  }
 
-  try {
+  const days = Math.round((to - from) / 86400000) + 1;
+  if (days < 1) {
+    return { error: '"from" must not be after "to"' };
+  }
+  if (days > MAX_ANALYTICS_RANGE_DAYS) {
+    return { error: `Date range cannot exceed ${MAX_ANALYTICS_RANGE_DAYS} days` };
+  }
+
+  return { from: formatIsoDate(from), to: formatIsoDate(to), days };
+}
+
+function toCsv(columns, rows) {
+  const escapeCell = (value) => {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((cells) => cells.map(escapeCell).join(','))
+    .join('\r\n');
+}
+
+// Every analytics query receives $1 = from date, $2 = to date (inclusive) and
+// $3 = queue ids, and reads tokens created within that range.
+const ANALYTICS_REPORTS = {
+  durations: {
+    columns: ['metric', 'count', 'p50_minutes', 'p90_minutes'],
+    sql: `
+      WITH scoped AS (
+        SELECT * FROM tokens
+        WHERE created_at >= $1::date AND created_at < $2::date + 1
+          AND queue_id = ANY($3::int[])
+      ),
+      durations AS (
+        SELECT 'wait' AS metric,
+               EXTRACT(EPOCH FROM (admitted_at - created_at)) / 60 AS minutes
+        FROM scoped WHERE admitted_at IS NOT NULL
+        UNION ALL
+        SELECT 'visit' AS metric,
+               EXTRACT(EPOCH FROM (finished_at - admitted_at)) / 60 AS minutes
+        FROM scoped WHERE admitted_at IS NOT NULL AND finished_at IS NOT NULL
+          AND status = 'done'
+      )
+      SELECT m.metric,
+             COUNT(d.minutes)::int AS count,
+             ROUND((percentile_cont(0.5) WITHIN GROUP (ORDER BY d.minutes))::numeric, 1)::float AS p50_minutes,
+             ROUND((percentile_cont(0.9) WITHIN GROUP (ORDER BY d.minutes))::numeric, 1)::float AS p90_minutes
+      FROM (VALUES ('wait', 1), ('visit', 2)) AS m(metric, sort)
+      LEFT JOIN durations d ON d.metric = m.metric
+      GROUP BY m.metric, m.sort
+      ORDER BY m.sort`,
+  },
+  throughput: {
+    columns: ['hour', 'checked_in', 'admitted', 'finished'],
+    sql: `
+      WITH scoped AS (
+        SELECT * FROM tokens
+        WHERE created_at >= $1::date AND created_at < $2::date + 1
+          AND queue_id = ANY($3::int[])
+      ),
+      hourly AS (
+        SELECT date_trunc('hour', created_at) AS hour, 'checked_in' AS kind FROM scoped
+        UNION ALL
+        SELECT date_trunc('hour', admitted_at), 'admitted' FROM scoped
+        WHERE admitted_at IS NOT NULL
+        UNION ALL
+        SELECT date_trunc('hour', finished_at), 'finished' FROM scoped
+        WHERE finished_at IS NOT NULL AND status = 'done'
+      )
+      SELECT to_char(hour, 'YYYY-MM-DD"T"HH24:00') AS hour,
+             COUNT(*) FILTER (WHERE kind = 'checked_in')::int AS checked_in,
+             COUNT(*) FILTER (WHERE kind = 'admitted')::int AS admitted,
+             COUNT(*) FILTER (WHERE kind = 'finished')::int AS finished
+      FROM hourly
+      GROUP BY hour
+      ORDER BY hour`,
+  },
+  demographics: {
+    columns: ['dimension', 'value', 'count'],
+    sql: `
+      WITH scoped AS (
+        SELECT * FROM tokens
+        WHERE created_at >= $1::date AND created_at < $2::date + 1
+          AND queue_id = ANY($3::int[])
+      )
+      SELECT 'country' AS dimension, COALESCE(country, 'Unknown') AS value, COUNT(*)::int AS count
+      FROM scoped GROUP BY 2
+      UNION ALL
+      SELECT 'sex', COALESCE(sex, 'Unknown'), COUNT(*)::int
+      FROM scoped GROUP BY 2
+      UNION ALL
+      SELECT 'age_band', COALESCE(age_band, 'Unknown'), COUNT(*)::int
+      FROM scoped GROUP BY 2
+      ORDER BY 1, 3 DESC, 2`,
+  },
+  'peak-hours': {
+    columns: ['hour_of_day', 'checked_in', 'avg_per_day'],
+    sql: `
+      SELECT h.hour_of_day,
+             COUNT(t.id)::int AS checked_in,
+             ROUND(COUNT(t.id)::numeric / ($2::date - $1::date + 1), 2)::float AS avg_per_day
+      FROM generate_series(0, 23) AS h(hour_of_day)
+      LEFT JOIN tokens t
+        ON EXTRACT(HOUR FROM t.created_at) = h.hour_of_day
+       AND t.created_at >= $1::date AND t.created_at < $2::date + 1
+       AND t.queue_id = ANY($3::int[])
+      GROUP BY h.hour_of_day
+      ORDER BY h.hour_of_day`,
+  },
+};
+
+// ============ API ENDPOINTS ============
+
+app.post('/api/login', async (req, res) => {
+  const { username, password } = req.body || {};
+
+  if (!username || typeof password !== 'string') {
+    return res.status(400).json({ error: 'Username and password are required' });
+  }
+
+  try {
+    const user = await findStaffByCredentials(username, password);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    const sessionToken = await createSession(user.id);
+    res.cookie(SESSION_COOKIE, sessionToken, {
+      ...sessionCookieOptions(),
+      maxAge: SESSION_TTL_HOURS * 60 * 60 * 1000,
+    });
+
+    res.json({ success: true, user: publicStaffUser(user) });
+  } catch (error) {
+    logger.error('Login error', { error });
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+app.post('/api/logout', async (req, res) => {
+  const sessionToken = parseCookies(req.get('cookie'))[SESSION_COOKIE];
+
+  try {
+    if (sessionToken) {
+      await storage.deleteStaffSession(hashSessionToken(sessionToken));
+    }
+
+    res.clearCookie(SESSION_COOKIE, sessionCookieOptions());
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Logout error', { error });
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+app.get('/api/me', requireStaff('display'), (req, res) => {
+  res.json(req.staff);
+});
+
+// Purge log written by retention.js, newest first.
+app.get('/api/retention/runs', requireStaff('admin'), async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT * FROM retention_runs ORDER BY started_at DESC, id DESC LIMIT 100`
+    );
+    res.json(rows);
+  } catch (error) {
+    logger.error('Error fetching retention runs', { error });
+    res.status(500).json({ error: 'Failed to fetch retention runs' });
+  }
+});
+
+app.get('/api/staff-users', requireStaff('admin'), async (req, res) => {
+  try {
+    const { rows } = await pool.query(`SELECT * FROM staff_users ORDER BY id ASC`);
+    res.json(rows.map(publicStaffUser));
+  } catch (error) {
+    logger.error('Error fetching staff users', { error });
+    res.status(500).json({ error: 'Failed to fetch staff users' });
+  }
+});
+
+app.post('/api/staff-users', requireStaff('admin'), async (req, res) => {
+  const { values, error } = validateStaffUserInput(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO staff_users (username, password_hash, role, active)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [values.username, await hashPassword(values.password), values.role, values.active ?? true]
+    );
+
+    res.status(201).json(publicStaffUser(rows[0]));
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Username already exists' });
+    }
+    logger.error('Create staff user error', { error });
+    res.status(500).json({ error: 'Failed to create staff user' });
+  }
+});
+
+app.patch('/api/staff-users/:id', requireStaff('admin'), async (req, res) => {
+  const { values, error } = validateStaffUserInput(req.body, { partial: true });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  // Usernames are stable identifiers; passwords go through reset-password.
+  delete values.username;
+  delete values.password;
+
+  const columns = Object.keys(values);
+  if (!columns.length) {
+    return res.status(400).json({ error: 'Nothing to update' });
+  }
+
+  const userId = Number(req.params.id);
+  if (!Number.isInteger(userId)) {
+    return res.status(404).json({ error: 'Staff user not found' });
+  }
+
+  if (userId === req.staff.id && (values.active === false || (values.role && values.role !== 'admin'))) {
+    return res.status(400).json({ error: 'You cannot disable or demote your own account' });
+  }
+
+  const client = await pool.connect();
+
+  try {
     await client.query('BEGIN');
 
-    const { patient, tokensFinished, notFound } = await setPatientAllowed(
-      client,
-      token
+    const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+    const { rows } = await client.query(
+      `UPDATE staff_users
+       SET ${assignments.join(', ')}
+       WHERE id = $1
+       RETURNING *`,
+      [userId, ...columns.map((column) => values[column])]
     );
 
-    if (notFound) {
+    if (!rows.length) {
       await client.query('ROLLBACK');
-      return res.status(404).json({ error: 'Patient not found' });
+      return res.status(404).json({ error: 'Staff user not found' });
     }
 
-    const allowed = await getAllowedPatients(client);
+    if (values.active === false) {
+      await client.query(`DELETE FROM staff_sessions WHERE user_id = $1`, [userId]);
+    }
 
-    await client.query('COMMIT');
+    if (values.active === false || values.role) {
+      await publishEvent(client, { type: QUEUE_EVENTS.STAFF_REVOKED, user_id: userId });
+    }
 
-    tokensFinished.forEach((finishedToken) => {
-      io.emit('patient-finished', finishedToken);
-    });
-    io.emit('allowed-update', allowed);
+    await client.query('COMMIT');
 
-    res.json({ success: true, patient });
+    res.json(publicStaffUser(rows[0]));
   } catch (error) {
     await client.query('ROLLBACK');
-    console.error('Admit error:', error);
-    res.status(500).json({ error: 'Failed to admit patient' });
+    logger.error('Update staff user error', { error });
+    res.status(500).json({ error: 'Failed to update staff user' });
   } finally {
     client.release();
   }
 });
 
-app.post('/api/remove/:token', requireStaff, async (req, res) => {
-  const { token } = req.params;
+app.post('/api/staff-users/:id/reset-password', requireStaff('admin'), async (req, res) => {
+  const { password } = req.body || {};
+  const { values, error } = validateStaffUserInput({ password }, { partial: true });
+  if (error || !values.password) {
+    return res.status(400).json({ error: error || 'Password is required' });
+  }
+
+  const userId = Number(req.params.id);
+  if (!Number.isInteger(userId)) {
+    return res.status(404).json({ error: 'Staff user not found' });
+  }
+
   const client = await pool.connect();
 
   try {
     await client.query('BEGIN');
 
-    const normalizedToken = token.trim().toUpperCase();
-    const currentRes = await client.query(
-      `SELECT status
-       FROM tokens
-       WHERE token = $1
-       FOR UPDATE`,
-      [normalizedToken]
+    const { rows } = await client.query(
+      `UPDATE staff_users
+       SET password_hash = $2
+       WHERE id = $1
+       RETURNING *`,
+      [userId, await hashPassword(values.password)]
     );
 
-    if (!currentRes.rows.length) {
+    if (!rows.length) {
       await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Staff user not found' });
+    }
+
+    // A reset is usually prompted by a leaked password, so sign out everywhere.
+    await client.query(`DELETE FROM staff_sessions WHERE user_id = $1`, [userId]);
+    await publishEvent(client, { type: QUEUE_EVENTS.STAFF_REVOKED, user_id: userId });
+
+    await client.query('COMMIT');
+
+    res.json({ success: true });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Reset password error', { error });
+    res.status(500).json({ error: 'Failed to reset password' });
+  } finally {
+    client.release();
+  }
+});
+
+app.get('/api/queues', async (req, res) => {
+  try {
+    const queues = await storage.listQueues();
+    res.json(queues);
+  } catch (error) {
+    logger.error('Error fetching queues', { error });
+    res.status(500).json({ error: 'Failed to fetch queues' });
+  }
+});
+
+app.post('/api/queues', requireStaff('admin'), async (req, res) => {
+  const { values, error } = validateQueueInput(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const queue = await storage.createQueue(values);
+    if (!queue) {
+      return res.status(409).json({ error: 'Queue slug or prefix already in use' });
+    }
+
+    res.status(201).json(queue);
+  } catch (error) {
+    logger.error('Create queue error', { error });
+    res.status(500).json({ error: 'Failed to create queue' });
+  }
+});
+
+app.patch('/api/queues/:slug', requireStaff('admin'), async (req, res) => {
+  const { values, error } = validateQueueInput(req.body, { partial: true });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  // Changing the prefix would orphan the numbering of tokens already issued.
+  delete values.slug;
+  delete values.prefix;
+
+  const columns = Object.keys(values);
+  if (!columns.length) {
+    return res.status(400).json({ error: 'Nothing to update' });
+  }
+
+  try {
+    const queue = await storage.updateQueue(req.params.slug, values);
+
+    if (!queue) {
+      return res.status(404).json({ error: 'Queue not found' });
+    }
+
+    res.json(queue);
+  } catch (error) {
+    logger.error('Update queue error', { error });
+    res.status(500).json({ error: 'Failed to update queue' });
+  }
+});
+
+app.get('/api/sessions/current', requireStaff('display'), async (req, res) => {
+  try {
+    const session = await storage.getOpenSession();
+    res.json({ session });
+  } catch (error) {
+    logger.error('Session lookup error', { error });
+    res.status(500).json({ error: 'Failed to fetch clinic session' });
+  }
+});
+
+app.get('/api/sessions', requireStaff('desk'), async (req, res) => {
+  try {
+    res.json(await storage.listSessions());
+  } catch (error) {
+    logger.error('Error fetching clinic sessions', { error });
+    res.status(500).json({ error: 'Failed to fetch clinic sessions' });
+  }
+});
+
+app.post('/api/sessions', requireStaff('desk'), async (req, res) => {
+  try {
+    const { alreadyOpen, session } = await storage.createSession({ actor: req.staff });
+
+    if (alreadyOpen) {
+      return res.status(409).json({ error: 'A clinic session is already open' });
+    }
+
+    res.status(201).json({ success: true, session });
+  } catch (error) {
+    logger.error('Open session error', { error });
+    res.status(500).json({ error: 'Failed to open clinic session' });
+  }
+});
+
+const MAX_CHECKIN_MESSAGE_LENGTH = 200;
+
+// Stops or resumes new check-ins for the open session. The optional message
+// is shown on the kiosk as-is.
+app.put('/api/sessions/current/checkin', requireStaff('desk'), async (req, res) => {
+  const { paused, message } = req.body || {};
+  if (typeof paused !== 'boolean') {
+    return res.status(400).json({ error: '"paused" must be true or false' });
+  }
+
+  const pausedMessage = paused ? String(message || '').trim() || null : null;
+  if (pausedMessage && pausedMessage.length > MAX_CHECKIN_MESSAGE_LENGTH) {
+    return res
+      .status(400)
+      .json({ error: `Message must be ${MAX_CHECKIN_MESSAGE_LENGTH} characters or fewer` });
+  }
+
+  try {
+    const session = await storage.setCheckinPaused(paused, pausedMessage);
+
+    if (!session) {
+      return res.status(409).json({ error: 'No clinic session is open' });
+    }
+
+    res.json({ success: true, session });
+  } catch (error) {
+    logger.error('Check-in pause error', { error });
+    res.status(500).json({ error: 'Failed to update check-in' });
+  }
+});
+
+// Closing a session ends the day: anyone still waiting or admitted is marked
+// "closed" so tomorrow starts from an empty queue and fresh numbering.
+app.post('/api/sessions/current/close', requireStaff('desk'), async (req, res) => {
+  try {
+    const result = await storage.closeSession({ actor: req.staff });
+
+    if (!result) {
+      return res.status(409).json({ error: 'No clinic session is open' });
+    }
+
+    res.json({ success: true, session: result.session, closed: result.closed });
+  } catch (error) {
+    logger.error('Close session error', { error });
+    res.status(500).json({ error: 'Failed to close clinic session' });
+  }
+});
+
+// HTTP status for each reason storage.checkin() can turn a patient away.
+const CHECKIN_REJECTION_STATUS = {
+  INVALID_QUEUE: 400,
+  CHECKIN_CLOSED: 409,
+  CHECKIN_PAUSED: 409,
+};
+
+function sendCheckinError(res, status, code, extra = {}) {
+  metrics.countCheckinError(code);
+  return res.status(status).json({ error: CHECKIN_ERRORS[code], code, ...extra });
+}
+
+// Every successful check-in response, including duplicates and replays,
+// carries the ticket the kiosk prints, unless there is no trusted base URL
+// for its links.
+async function withTicket(req, body) {
+  const baseUrl = baseUrlFor(req);
+  const status = baseUrl ? await storage.getTokenStatus(body.token_key) : null;
+  return { ...body, ticket: status ? buildTicket(status, baseUrl) : null };
+}
+
+// Buckets are hashed so the table holds no phone numbers or addresses.
+function rateLimitBucket(kind, value) {
+  return crypto.createHash('sha256').update(`${kind}:${value}`).digest('hex');
+}
+
+// Counts one attempt and returns how many seconds the client must wait, or 0
+// while it is under `limit`.
+async function consumeRateLimit(bucket, limit) {
+  if (limit <= 0) {
+    return 0;
+  }
+  return storage.consumeRateLimit(bucket, limit, CHECKIN_RATE_WINDOW_SECONDS);
+}
+
+// Seconds the client must wait before `bucket` takes another attempt, without
+// counting this one.
+async function rateLimitRetryAfter(bucket, limit) {
+  if (limit <= 0) {
+    return 0;
+  }
+  return storage.rateLimitRetryAfter(bucket, limit, CHECKIN_RATE_WINDOW_SECONDS);
+}
+
+let lastRateLimitPrune = 0;
+
+async function pruneRateLimits() {
+  if (Date.now() - lastRateLimitPrune < CHECKIN_RATE_WINDOW_SECONDS * 1000) {
+    return;
+  }
+  lastRateLimitPrune = Date.now();
+  await storage.pruneRateLimits(CHECKIN_RATE_WINDOW_SECONDS);
+}
+
+// Check-in limits count only check-ins that created a token: a kiosk retry,
+// an idempotent replay or a duplicate of a waiting token costs nothing, so
+// several kiosks behind one address are not throttled by their own retries.
+async function checkinRetryAfter(req, digits) {
+  await pruneRateLimits();
+  const waits = await Promise.all([
+    rateLimitRetryAfter(rateLimitBucket('ip', req.ip), CHECKIN_LIMIT_PER_IP),
+    rateLimitRetryAfter(rateLimitBucket('phone', digits), CHECKIN_LIMIT_PER_PHONE),
+  ]);
+  return Math.max(...waits);
+}
+
+async function countCheckinAttempt(req, digits) {
+  await Promise.all([
+    consumeRateLimit(rateLimitBucket('ip', req.ip), CHECKIN_LIMIT_PER_IP),
+    consumeRateLimit(rateLimitBucket('phone', digits), CHECKIN_LIMIT_PER_PHONE),
+  ]);
+}
+
+async function lookupRetryAfter(req, digits) {
+  await pruneRateLimits();
+  const waits = await Promise.all([
+    consumeRateLimit(rateLimitBucket('lookup-ip', req.ip), LOOKUP_LIMIT_PER_IP),
+    consumeRateLimit(rateLimitBucket('lookup-phone', digits), LOOKUP_LIMIT_PER_PHONE),
+  ]);
+  return Math.max(...waits);
+}
+
+// Phone numbers are matched on digits only, so "010-1234 5678" and
+// "01012345678" are the same patient.
+function phoneDigits(phone) {
+  return String(phone || '').replace(/\D/g, '');
+}
+
+function parseBirthDate(value) {
+  const date = parseIsoDate(String(value || '').trim());
+  return date && date <= new Date() ? formatIsoDate(date) : null;
+}
+
+// Returning-patient lookup for the kiosk. Phone plus date of birth is the
+// verification; only what is needed to prefill the form is returned. The route
+// is public, so it is rate limited per IP and per phone number.
+app.post('/api/patients/lookup', async (req, res) => {
+  const { phone, birth_date: birthDateInput } = req.body || {};
+
+  const digits = phoneDigits(phone);
+  if (digits.length < 7 || digits.length > 15) {
+    return sendCheckinError(res, 400, 'INVALID_PHONE');
+  }
+
+  const birthDate = parseBirthDate(birthDateInput);
+  if (!birthDate) {
+    return sendCheckinError(res, 400, 'INVALID_BIRTH_DATE');
+  }
+
+  let retryAfter;
+  try {
+    retryAfter = await lookupRetryAfter(req, digits);
+  } catch (error) {
+    logger.error('Patient lookup rate limit error', { error });
+    return sendCheckinError(res, 500, 'CHECKIN_FAILED');
+  }
+  if (retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+    return sendCheckinError(res, 429, 'RATE_LIMITED');
+  }
+
+  try {
+    const patient = await storage.findPatient(digits, birthDate);
+
+    if (!patient) {
+      return sendCheckinError(res, 404, 'PATIENT_NOT_FOUND');
+    }
+
+    res.json({ patient });
+  } catch (error) {
+    logger.error('Patient lookup error', { error });
+    sendCheckinError(res, 500, 'CHECKIN_FAILED');
+  }
+});
+
+app.get('/api/patients/:id/visits', requireStaff('desk'), async (req, res) => {
+  const patientId = Number(req.params.id);
+  if (!Number.isInteger(patientId) || patientId <= 0) {
+    return res.status(404).json({ error: 'Patient not found' });
+  }
+
+  try {
+    const record = await storage.getPatientVisits(patientId);
+
+    if (!record) {
       return res.status(404).json({ error: 'Patient not found' });
     }
 
-    const wasAllowed = currentRes.rows[0].status === 'allowed';
+    res.json(record);
+  } catch (error) {
+    logger.error('Patient visits error', { error });
+    res.status(500).json({ error: 'Failed to fetch patient visits' });
+  }
+});
+
+// Public: the kiosk renders its steps from this.
+app.get('/api/intake-form', async (req, res) => {
+  try {
+    res.json(await storage.getIntakeForm());
+  } catch (error) {
+    logger.error('Error fetching intake form', { error });
+    res.status(500).json({ error: 'Failed to fetch intake form' });
+  }
+});
+
+// Replaces the form with a new version. Tokens keep pointing at the version
+// they were answered with.
+app.put('/api/intake-form', requireStaff('admin'), async (req, res) => {
+  const { fields, error: validationError } = validateFormFields((req.body || {}).fields);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO intake_forms (fields, created_by)
+       VALUES ($1, $2)
+       RETURNING id, fields, created_at`,
+      [JSON.stringify(fields), req.staff.id]
+    );
+    res.json(rows[0]);
+  } catch (error) {
+    logger.error('Update intake form error', { error });
+    res.status(500).json({ error: 'Failed to update intake form' });
+  }
+});
+
+// Lets the kiosk say check-in is closed before anyone fills in the form.
+app.get('/api/checkin/status', async (req, res) => {
+  try {
+    const session = await storage.getOpenSession();
+    if (!session) {
+      return res.json({ open: false, code: 'CHECKIN_CLOSED', message: null });
+    }
+    if (session.checkin_paused) {
+      return res.json({
+        open: false,
+        code: 'CHECKIN_PAUSED',
+        message: session.checkin_paused_message,
+      });
+    }
+    res.json({ open: true, code: null, message: null });
+  } catch (error) {
+    logger.error('Check-in status error', { error });
+    res.status(500).json({ error: 'Failed to fetch check-in status' });
+  }
+});
+
+app.post('/api/checkin', async (req, res) => {
+  const {
+    name,
+    age,
+    country,
+    details,
+    sex,
+    phone,
+    queue: queueSlug,
+    language,
+    birth_date: birthDateInput,
+    answers: answersInput,
+  } = req.body || {};
+
+  const idempotencyKey = req.get('Idempotency-Key');
+  if (idempotencyKey !== undefined && !IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+    return sendCheckinError(res, 400, 'INVALID_IDEMPOTENCY_KEY');
+  }
+
+  // A retry of a check-in that already went through gets its token back
+  // without being validated or rate limited again.
+  if (idempotencyKey) {
+    try {
+      const replay = await storage.findIdempotentCheckin(idempotencyKey);
+      if (replay) {
+        metrics.countCheckin(replay.queue.slug, 'replayed');
+        return res.json(await withTicket(req, replay));
+      }
+    } catch (error) {
+      logger.error('Idempotency key lookup error', { error });
+      return sendCheckinError(res, 500, 'CHECKIN_FAILED');
+    }
+  }
+
+  if (!name || !country) {
+    return sendCheckinError(res, 400, 'MISSING_FIELDS');
+  }
+
+  const ageNumber = Number(age);
+  if (!Number.isFinite(ageNumber) || ageNumber < 0) {
+    return sendCheckinError(res, 400, 'INVALID_AGE');
+  }
+
+  let form;
+  try {
+    form = await storage.getIntakeForm();
+  } catch (error) {
+    logger.error('Intake form lookup error', { error });
+    return sendCheckinError(res, 500, 'CHECKIN_FAILED');
+  }
+  const formField = (key) => form.fields.find((field) => field.key === key);
+
+  const normalizedSex = (sex || '').trim();
+  if (!isValidChoice(formField('sex'), normalizedSex)) {
+    return sendCheckinError(res, 400, 'INVALID_SEX');
+  }
+
+  // Answers to the admin-defined questions; built-in ones are columns.
+  const { answers, field: invalidField } = validateAnswers(form.fields, answersInput);
+  if (invalidField) {
+    return sendCheckinError(res, 400, 'INVALID_ANSWER', { field: invalidField });
+  }
+  // Dropped if the question has been taken off the form.
+  const detailsText = formField('details') ? (details || '').trim() || null : null;
+
+  const rawPhone = (phone || '').trim();
+  const digitsOnly = rawPhone.replace(/\D/g, '');
+  if (!rawPhone) {
+    return sendCheckinError(res, 400, 'PHONE_REQUIRED');
+  }
+  if (digitsOnly.length < 7 || digitsOnly.length > 15) {
+    return sendCheckinError(res, 400, 'INVALID_PHONE');
+  }
+
+  const normalizedLanguage = String(language || DEFAULT_LANGUAGE).trim().toLowerCase();
+  if (!LANGUAGE_PATTERN.test(normalizedLanguage)) {
+    return sendCheckinError(res, 400, 'INVALID_LANGUAGE');
+  }
+
+  // Optional for older kiosks; without it the visit is not linked to a patient.
+  const birthDate = birthDateInput ? parseBirthDate(birthDateInput) : null;
+  if (birthDateInput && !birthDate) {
+    return sendCheckinError(res, 400, 'INVALID_BIRTH_DATE');
+  }
+
+  let retryAfter;
+  try {
+    retryAfter = await checkinRetryAfter(req, digitsOnly);
+  } catch (error) {
+    logger.error('Check-in rate limit error', { error });
+    return sendCheckinError(res, 500, 'CHECKIN_FAILED');
+  }
+  if (retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+    return sendCheckinError(res, 429, 'RATE_LIMITED');
+  }
+
+  try {
+    const result = await storage.checkin({
+      idempotencyKey,
+      queueSlug,
+      name: name.trim(),
+      age: ageNumber,
+      country: country.trim(),
+      details: detailsText,
+      sex: normalizedSex || null,
+      phone: rawPhone,
+      phoneDigits: digitsOnly,
+      language: normalizedLanguage,
+      birthDate,
+      answers,
+      formId: form.id,
+      priority: triagePriority({ age: ageNumber, details: detailsText }),
+    });
+
+    if (result.replay) {
+      metrics.countCheckin(result.replay.queue.slug, 'replayed');
+      return res.json(await withTicket(req, result.replay));
+    }
+
+    if (result.rejected) {
+      return sendCheckinError(
+        res,
+        CHECKIN_REJECTION_STATUS[result.rejected],
+        result.rejected,
+        result.rejected === 'CHECKIN_PAUSED' ? { message: result.message } : {}
+      );
+    }
+
+    const { session, queue } = result;
+
+    if (result.duplicate) {
+      metrics.countCheckin(queue.slug, 'duplicate');
+      // Only the token: anyone can type a phone number, so no patient details.
+      return res.json(await withTicket(req, {
+        success: true,
+        duplicate: true,
+        token: result.duplicate.token,
+        token_key: result.duplicate.token_key,
+        session: session.session_key,
+        queue: { slug: queue.slug, name: queue.name },
+      }));
+    }
+
+    metrics.countCheckin(queue.slug, 'created');
+
+    try {
+      await countCheckinAttempt(req, digitsOnly);
+    } catch (error) {
+      logger.error('Check-in rate limit error', { error });
+    }
+
+    res.json(await withTicket(req, {
+      success: true,
+      token: result.patient.token,
+      token_key: result.patient.token_key,
+      session: session.session_key,
+      queue: { slug: queue.slug, name: queue.name },
+      patient: result.patient,
+    }));
+  } catch (error) {
+    logger.error('Check-in error', { error });
+    sendCheckinError(res, 500, 'CHECKIN_FAILED');
+  }
+});
+
+app.get('/api/status/:token', async (req, res) => {
+  try {
+    const status = await storage.getTokenStatus(req.params.token);
+    if (!status) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+
+    res.json(status);
+  } catch (error) {
+    logger.error('Status lookup error', { error });
+    res.status(500).json({ error: 'Failed to fetch token status' });
+  }
+});
+
+// Printing a copy marked REPRINT is a desk action; the plain ticket is public.
+function requireStaffForReprint(req, res, next) {
+  if (req.query.reprint !== '1') {
+    return next();
+  }
+  return requireStaff('desk')(req, res, next);
+}
+
+const TICKET_LINKS_MISSING = 'Ticket links are not configured';
+
+// Public like /api/status: the ticket shows nothing the token does not.
+app.get('/api/tickets/:token', requireStaffForReprint, async (req, res) => {
+  try {
+    const baseUrl = baseUrlFor(req);
+    if (!baseUrl) {
+      return res.status(503).json({ error: TICKET_LINKS_MISSING });
+    }
+
+    const status = await storage.getTokenStatus(req.params.token);
+    if (!status) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+
+    const ticket = buildTicket(status, baseUrl);
+    res.json({ ...ticket, reprint: Boolean(req.staff), qr_svg: await renderQrSvg(ticket) });
+  } catch (error) {
+    logger.error('Ticket lookup error', { error });
+    res.status(500).json({ error: 'Failed to build ticket' });
+  }
+});
+
+// Raw bytes for a thermal receipt printer. ?reprint=1 marks the copy.
+app.get('/api/tickets/:token/escpos', requireStaffForReprint, async (req, res) => {
+  try {
+    const baseUrl = baseUrlFor(req);
+    if (!baseUrl) {
+      return res.status(503).json({ error: TICKET_LINKS_MISSING });
+    }
+
+    const status = await storage.getTokenStatus(req.params.token);
+    if (!status) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+
+    const ticket = buildTicket(status, baseUrl);
+    res.set('Content-Type', 'application/octet-stream');
+    res.set('Content-Disposition', `inline; filename="ticket-${status.token_key}.bin"`);
+    res.send(renderEscPos(ticket, { reprint: Boolean(req.staff) }));
+  } catch (error) {
+    logger.error('ESC/POS ticket error', { error });
+    res.status(500).json({ error: 'Failed to build ticket' });
+  }
+});
+
+const PATIENT_STATUSES = ['waiting', 'allowed', 'done', 'closed'];
+const DEFAULT_PATIENT_STATUSES = ['waiting', 'allowed'];
+const MAX_PATIENT_PAGE = 500;
+const MAX_PATIENT_SEARCH_LENGTH = 100;
+
+// Filters for GET /api/patients. Returns `{ error }` for the first bad one.
+function parsePatientListQuery(query) {
+  const repeated = ['status', 'q', 'from', 'to', 'sort', 'cursor', 'limit'].find((key) =>
+    Array.isArray(query[key])
+  );
+  if (repeated) {
+    return { error: `"${repeated}" may only be given once` };
+  }
+
+  const statusInput = String(query.status || '').trim().toLowerCase();
+  const statuses =
+    statusInput === 'all'
+      ? PATIENT_STATUSES
+      : statusInput
+      ? [...new Set(statusInput.split(',').map((status) => status.trim()))]
+      : DEFAULT_PATIENT_STATUSES;
+  if (!statuses.every((status) => PATIENT_STATUSES.includes(status))) {
+    return { error: `Unknown status, expected "all" or any of ${PATIENT_STATUSES.join(', ')}` };
+  }
+
+  const search = String(query.q || '').trim() || null;
+  if (search && search.length > MAX_PATIENT_SEARCH_LENGTH) {
+    return { error: `Search cannot exceed ${MAX_PATIENT_SEARCH_LENGTH} characters` };
+  }
+
+  const from = query.from ? parseIsoDate(query.from) : null;
+  if (query.from && !from) {
+    return { error: 'Invalid "from" date, expected YYYY-MM-DD' };
+  }
+  const to = query.to ? parseIsoDate(query.to) : null;
+  if (query.to && !to) {
+    return { error: 'Invalid "to" date, expected YYYY-MM-DD' };
+  }
+  if (from && to && from > to) {
+    return { error: '"from" must not be after "to"' };
+  }
+
+  const order = String(query.sort || 'asc').toLowerCase();
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'Invalid sort, expected "asc" or "desc"' };
+  }
+
+  const cursor = query.cursor ? Number(query.cursor) : null;
+  if (query.cursor && !(Number.isInteger(cursor) && cursor > 0)) {
+    return { error: 'Invalid cursor' };
+  }
+
+  const limit = query.limit ? Number(query.limit) : MAX_PATIENT_PAGE;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PATIENT_PAGE) {
+    return { error: `Invalid limit, expected 1 to ${MAX_PATIENT_PAGE}` };
+  }
+
+  return {
+    statuses,
+    search,
+    from: from && formatIsoDate(from),
+    to: to && formatIsoDate(to),
+    order,
+    cursor,
+    limit,
+  };
+}
+
+// Waiting and admitted patients of the open session by default; see
+// parsePatientListQuery() for the filters. The body stays a plain array, and
+// X-Next-Cursor is set when there is another page.
+app.get('/api/patients', requireStaff('desk'), async (req, res) => {
+  try {
+    const queues = await resolveQueueSelection(req.query.queue);
+    if (!queues) {
+      return res.status(400).json({ error: 'Unknown queue' });
+    }
+
+    const filters = parsePatientListQuery(req.query);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+
+    const { patients, nextCursor } = await storage.listPatients({ queues, ...filters });
+    if (nextCursor) {
+      res.set('X-Next-Cursor', nextCursor);
+    }
+    res.json(patients);
+  } catch (error) {
+    logger.error('Error fetching patients', { error });
+    res.status(500).json({ error: 'Failed to fetch patients' });
+  }
+});
+
+app.get('/api/allowed', requireStaff('display'), async (req, res) => {
+  try {
+    const queues = await resolveQueueSelection(req.query.queue);
+    if (!queues) {
+      return res.status(400).json({ error: 'Unknown queue' });
+    }
+
+    const allowed = [];
+    for (const queue of queues) {
+      allowed.push(...(await storage.getAllowedPatients(queue)));
+    }
 
-    await client.query(
-      `UPDATE tokens
-       SET status = 'done', finished_at = NOW()
-       WHERE token = $1`,
-      [normalizedToken]
+    // Display-only accounts run the public boards, so they get the same
+    // masked view as the public socket.
+    res.json(hasRole(req.staff, 'desk') ? allowed : allowed.map(publicTokenView));
+  } catch (error) {
+    logger.error('Error fetching allowed patients', { error });
+    res.status(500).json({ error: 'Failed to fetch allowed patients' });
+  }
+});
+
+app.post('/api/admit/:token', requireStaff('desk'), async (req, res) => {
+  try {
+    const { patient, queue, notFound, full, tokensFinished } = await storage.admit(
+      req.params.token,
+      { actor: req.staff, source: EVENT_SOURCES.MANUAL_ADMIT }
     );
 
-    const allowed = await getAllowedPatients(client);
+    if (notFound) {
+      return res.status(404).json({ error: 'Patient not found' });
+    }
 
-    await client.query('COMMIT');
+    if (full) {
+      metrics.countCapacityAction(queue.slug, 'rejected');
+      return res.status(409).json({ error: queueFullMessage(queue), code: 'QUEUE_FULL' });
+    }
+
+    metrics.countAdmissions(queue.slug, EVENT_SOURCES.MANUAL_ADMIT);
+    metrics.countCapacityAction(queue.slug, 'evicted', tokensFinished.length);
 
-    if (wasAllowed) {
-      io.emit('patient-finished', normalizedToken);
-      io.emit('allowed-update', allowed);
+    res.json({
+      success: true,
+      patient,
+      evicted: tokensFinished.map((finished) => evictionView(queue, finished)),
+    });
+  } catch (error) {
+    logger.error('Admit error', { error });
+    res.status(500).json({ error: 'Failed to admit patient' });
+  }
+});
+
+// Asks the lobby displays to announce an admitted token again, e.g. when the
+// patient has not come forward. The status does not change.
+app.post('/api/recall/:token', requireStaff('desk'), async (req, res) => {
+  try {
+    const { notFound, notAdmitted } = await storage.recall(req.params.token, {
+      actor: req.staff,
+    });
+
+    if (notFound) {
+      return res.status(404).json({ error: 'Patient not found' });
+    }
+    if (notAdmitted) {
+      return res.status(409).json({ error: 'Only admitted patients can be recalled' });
     }
 
     res.json({ success: true });
   } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('Remove error:', error);
+    logger.error('Recall error', { error });
+    res.status(500).json({ error: 'Failed to recall patient' });
+  }
+});
+
+app.post('/api/remove/:token', requireStaff('desk'), async (req, res) => {
+  try {
+    // A token that is already finished or closed with its session is left
+    // as it is and still reported as a success.
+    const { notFound } = await storage.remove(req.params.token, { actor: req.staff });
+
+    if (notFound) {
+      return res.status(404).json({ error: 'Patient not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Remove error', { error });
     res.status(500).json({ error: 'Failed to remove patient' });
-  } finally {
-    client.release();
   }
 });
 
-app.post('/api/next', requireStaff, async (req, res) => {
-  const { count, num } = req.body || {};
+app.get('/api/analytics/:report', requireStaff('desk'), async (req, res) => {
+  const report = Object.prototype.hasOwnProperty.call(ANALYTICS_REPORTS, req.params.report)
+    ? ANALYTICS_REPORTS[req.params.report]
+    : null;
+  if (!report) {
+    return res.status(404).json({ error: 'Unknown report' });
+  }
+
+  const range = parseAnalyticsRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+
+  try {
+    const queues = await resolveQueueSelection(req.query.queue);
+    if (!queues) {
+      return res.status(400).json({ error: 'Unknown queue' });
+    }
+
+    const { rows } = await pool.query(report.sql, [
+      range.from,
+      range.to,
+      queues.map((queue) => queue.id),
+    ]);
+
+    if (req.query.format === 'csv') {
+      res.type('text/csv');
+      res.attachment(`${req.params.report}_${range.from}_${range.to}.csv`);
+      return res.send(toCsv(report.columns, rows));
+    }
+
+    res.json({
+      report: req.params.report,
+      from: range.from,
+      to: range.to,
+      queues: queues.map((queue) => queue.slug),
+      rows,
+    });
+  } catch (error) {
+    logger.error('Analytics error', { error });
+    res.status(500).json({ error: 'Failed to build report' });
+  }
+});
+
+app.post('/api/priority/:token', requireStaff('desk'), async (req, res) => {
+  const priority = parsePriority((req.body || {}).priority);
+  if (priority === null) {
+    return res
+      .status(400)
+      .json({ error: `Priority must be one of: ${PRIORITY_LEVELS.join(', ')}` });
+  }
+
+  try {
+    const { notFound, patient } = await storage.setPriority(req.params.token, priority, {
+      actor: req.staff,
+    });
+
+    if (notFound) {
+      return res.status(404).json({ error: 'Patient not found' });
+    }
+
+    res.json({ success: true, patient });
+  } catch (error) {
+    logger.error('Priority update error', { error });
+    res.status(500).json({ error: 'Failed to update priority' });
+  }
+});
+
+app.get('/api/tokens/:token/history', requireStaff('desk'), async (req, res) => {
+  try {
+    const history = await storage.getTokenHistory(req.params.token);
+
+    if (!history) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+
+    res.json(history);
+  } catch (error) {
+    logger.error('Token history error', { error });
+    res.status(500).json({ error: 'Failed to fetch token history' });
+  }
+});
+
+app.post('/api/next', requireStaff('desk'), async (req, res) => {
+  const { count, num, queue: queueSlug } = req.body || {};
   const requested = Number.isInteger(count)
     ? count
     : Number.isInteger(num)
@@ -527,63 +2119,47 @@ app.post('/api/next', requireStaff, async (req, res) => {
     return res.status(400).json({ error: 'Count must be positive' });
   }
 
-  const client = await pool.connect();
-
   try {
-    await client.query('BEGIN');
-
-    const waitingRes = await client.query(
-      `SELECT token
-       FROM tokens
-       WHERE status = 'waiting'
-       ORDER BY id ASC
-       LIMIT $1`,
-      [requested]
-    );
+    const queue = queueSlug ? await storage.getQueueBySlug(queueSlug) : await getDefaultQueue();
 
-    if (!waitingRes.rows.length) {
-      await client.query('ROLLBACK');
-      return res.json({ success: true, message: 'No waiting patients' });
+    if (!queue) {
+      return res.status(400).json({ error: 'Unknown queue' });
     }
 
-    const promoted = [];
-    const finishedTokens = [];
-
-    for (const row of waitingRes.rows) {
-      const { patient, tokensFinished, notFound } = await setPatientAllowed(
-        client,
-        row.token
-      );
+    const { admitted, evicted, full } = await storage.admitNext(queue, requested, {
+      actor: req.staff,
+    });
 
-      if (!notFound && patient) {
-        promoted.push(patient);
+    if (!admitted.length) {
+      if (full) {
+        metrics.countCapacityAction(queue.slug, 'rejected');
+        return res.status(409).json({ error: queueFullMessage(queue), code: 'QUEUE_FULL' });
       }
-      finishedTokens.push(...tokensFinished);
+      return res.json({ success: true, message: 'No waiting patients' });
     }
 
-    const allowed = await getAllowedPatients(client);
-
-    await client.query('COMMIT');
-
-    finishedTokens.forEach((finishedToken) => {
-      io.emit('patient-finished', finishedToken);
-    });
-    io.emit('allowed-update', allowed);
+    metrics.countAdmissions(queue.slug, EVENT_SOURCES.BATCH_NEXT, admitted.length);
+    metrics.countCapacityAction(queue.slug, 'evicted', evicted.length);
 
     res.json({
       success: true,
-      admitted: promoted.length,
+      admitted: admitted.length,
+      evicted: evicted.map((finished) => evictionView(queue, finished)),
+      ...(full
+        ? { message: `Admitted ${admitted.length} of ${requested}: ${queueFullMessage(queue)}` }
+        : {}),
     });
   } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('Next patients error:', error);
+    logger.error('Next patients error', { error });
     res.status(500).json({ error: 'Failed to admit next patients' });
-  } finally {
-    client.release();
   }
 });
 
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+  logger.info('Server running', {
+    port: Number(PORT),
+    storage: storage.name,
+    log_level: LOG_LEVEL,
+  });
 });
@@ -0,0 +1,125 @@
+// Queue rules both storage backends follow, so a token is numbered, ordered
+// and moved between statuses the same way whichever one is running.
+
+const DEFAULT_QUEUE_SLUG = 'general';
+
+// Triage levels, lowest first. Stored as the integer index on tokens.priority.
+const PRIORITY_LEVELS = ['normal', 'high', 'urgent'];
+// Each priority level counts as this many minutes of extra waiting time, so a
+// normal patient eventually overtakes newer high-priority arrivals.
+const PRIORITY_AGING_MINUTES = parseInt(process.env.PRIORITY_AGING_MINUTES || '30', 10);
+// A check-in retried with the same Idempotency-Key within this many hours
+// returns the token of the first attempt.
+const IDEMPOTENCY_KEY_TTL_HOURS = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+// What admitting a patient does when their queue's allowed list is full:
+// `evict` finishes the patient admitted longest ago and reports it, `reject`
+// refuses the admission, and `auto_finish` refuses too while a sweeper
+// finishes patients admitted more than AUTO_FINISH_MINUTES ago.
+const CAPACITY_POLICIES = ['evict', 'reject', 'auto_finish'];
+const CAPACITY_POLICY = (process.env.CAPACITY_POLICY || 'evict').trim().toLowerCase();
+if (!CAPACITY_POLICIES.includes(CAPACITY_POLICY)) {
+  throw new Error(`Unknown CAPACITY_POLICY "${CAPACITY_POLICY}"`);
+}
+const AUTO_FINISH_MINUTES = Number(process.env.AUTO_FINISH_MINUTES) || 30;
+
+// Real-time events shared between instances through events.js. Each names
+// what changed; relayQueueEvent() decides what every socket is sent.
+const QUEUE_EVENTS = {
+  NEW_PATIENT: 'new-patient',
+  PATIENT_UPDATED: 'patient-updated',
+  ALLOWED_CHANGED: 'allowed-changed',
+  PATIENT_FINISHED: 'patient-finished',
+  ANNOUNCE: 'announce',
+  SESSION_CHANGED: 'session-changed',
+  TOKENS_CHANGED: 'tokens-changed',
+  POSITIONS_CHANGED: 'positions-changed',
+  STAFF_REVOKED: 'staff-revoked',
+};
+const TOKEN_EVENT_BATCH_SIZE = 200;
+// Why a token changed, stored on every token_events row.
+const EVENT_SOURCES = {
+  CHECKIN: 'checkin',
+  MANUAL_ADMIT: 'manual_admit',
+  BATCH_NEXT: 'batch_next',
+  CAPACITY_EVICTION: 'capacity_eviction',
+  MANUAL_REMOVE: 'manual_remove',
+  PRIORITY_CHANGE: 'priority_change',
+  SESSION_CLOSE: 'session_close',
+  RECALL: 'recall',
+  AUTO_FINISH: 'auto_finish',
+};
+// Statuses a token never leaves. "closed" marks patients still queued when a
+// clinic session was closed.
+const FINAL_STATUSES = ['done', 'closed'];
+
+function normalizeToken(token) {
+  return String(token || '').trim().toUpperCase();
+}
+
+function formatToken(prefix, number) {
+  return `${prefix}${number}`;
+}
+
+function formatTokenKey(session, token) {
+  return `${session.session_key}-${token}`;
+}
+
+// The digits of a staff search that looks like a phone number (digits,
+// spaces and + ( ) . - only, at least three digits), or null. "T118" is a
+// token, not part of a phone number.
+function phoneSearchDigits(search) {
+  const digits = search.replace(/\D/g, '');
+  return /^[\d\s()+.-]+$/.test(search) && digits.length >= 3 ? digits : null;
+}
+
+// `queues` as returned by listQueues(): active only, in display order.
+function pickDefaultQueue(queues) {
+  return queues.find((queue) => queue.slug === DEFAULT_QUEUE_SLUG) || queues[0] || null;
+}
+
+// Refreshes status pages watching these tokens, then every waiting position.
+// Published in chunks to stay under the NOTIFY payload limit. `publish` sends
+// one event the way the calling backend delivers them.
+async function publishTokenChanges(publish, tokenKeys) {
+  const unique = [...new Set(tokenKeys.map(normalizeToken))];
+  for (let i = 0; i < unique.length; i += TOKEN_EVENT_BATCH_SIZE) {
+    await publish({
+      type: QUEUE_EVENTS.TOKENS_CHANGED,
+      token_keys: unique.slice(i, i + TOKEN_EVENT_BATCH_SIZE),
+    });
+  }
+  await publish({ type: QUEUE_EVENTS.POSITIONS_CHANGED });
+}
+
+// Patients who left the admitted list, then the list itself, in the order the
+// boards expect them.
+async function publishAdmissions(publish, queue, finishedTokens) {
+  for (const finished of finishedTokens) {
+    await publish({
+      type: QUEUE_EVENTS.PATIENT_FINISHED,
+      queue: queue.slug,
+      token: finished.token,
+    });
+  }
+  await publish({ type: QUEUE_EVENTS.ALLOWED_CHANGED, queue: queue.slug });
+}
+
+module.exports = {
+  DEFAULT_QUEUE_SLUG,
+  PRIORITY_LEVELS,
+  PRIORITY_AGING_MINUTES,
+  IDEMPOTENCY_KEY_TTL_HOURS,
+  CAPACITY_POLICY,
+  AUTO_FINISH_MINUTES,
+  QUEUE_EVENTS,
+  EVENT_SOURCES,
+  FINAL_STATUSES,
+  normalizeToken,
+  formatToken,
+  formatTokenKey,
+  phoneSearchDigits,
+  pickDefaultQueue,
+  publishTokenChanges,
+  publishAdmissions,
+};
@@ -0,0 +1,35 @@
+// Where queue data lives. STORAGE=postgres (the default) is the production
+// store shared by every instance; STORAGE=memory keeps everything in this
+// process and forgets it on restart, for demos, local development and tests
+// without a database.
+//
+// Both backends implement the same interface (see postgres.js for the
+// reference): queues and clinic sessions (including creating, editing,
+// opening and closing them), the intake form, staff accounts and sessions,
+// check-in rate limits, readiness and token counts for /readyz and /metrics,
+// token history and past visits, and the queue operations themselves
+// (checkin, admit, admitNext, remove, recall, setPriority and the allowed and
+// waiting lists).
+// Queue operations publish their own real-time events; subscribe() delivers
+// them in order once the change is final.
+
+const STORAGE_BACKEND = (process.env.STORAGE || 'postgres').trim().toLowerCase();
+
+const BACKENDS = {
+  postgres: () => require('./postgres'),
+  memory: () => require('./memory'),
+};
+
+// `options.pool` is required by the postgres backend.
+function createStorage(options = {}) {
+  const load = BACKENDS[STORAGE_BACKEND];
+  if (!load) {
+    throw new Error(`Unknown STORAGE "${STORAGE_BACKEND}"`);
+  }
+  return load().createStorage(options);
+}
+
+module.exports = {
+  STORAGE_BACKEND,
+  createStorage,
+};
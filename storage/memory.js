@@ -0,0 +1,987 @@
+// In-memory storage for STORAGE=memory: demos, local development and
+// automated tests without PostgreSQL. Queue operations follow the same rules
+// as postgres.js (per-session numbering, waiting order, capacity eviction,
+// status transitions), but nothing survives a restart and nothing is shared
+// between processes, so run a single instance.
+//
+// It starts out like a freshly migrated database: the default queue, an open
+// clinic session and the default intake form. Token history is kept, but
+// notifications, reports and the other features that read their own tables
+// need postgres.
+
+const { DEFAULT_FIELDS } = require('../intake-form');
+const { logger } = require('../logger');
+const {
+  DEFAULT_QUEUE_SLUG,
+  PRIORITY_LEVELS,
+  PRIORITY_AGING_MINUTES,
+  IDEMPOTENCY_KEY_TTL_HOURS,
+  CAPACITY_POLICY,
+  EVENT_SOURCES,
+  FINAL_STATUSES,
+  QUEUE_EVENTS,
+  normalizeToken,
+  formatToken,
+  formatTokenKey,
+  phoneSearchDigits,
+  pickDefaultQueue,
+  publishTokenChanges,
+  publishAdmissions,
+} = require('./common');
+
+const MAX_ALLOWED = parseInt(process.env.MAX_ALLOWED || '20', 10);
+
+// Same bands as the token_age_band() SQL function.
+function ageBand(age) {
+  if (age === null || age === undefined) return null;
+  if (age < 18) return '0-17';
+  if (age < 25) return '18-24';
+  if (age < 35) return '25-34';
+  if (age < 45) return '35-44';
+  if (age < 55) return '45-54';
+  if (age < 65) return '55-64';
+  return '65+';
+}
+
+// "YYYYMMDD" of today, like the first session key of the day in postgres.
+function sessionKeyFor(date) {
+  return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+    .map((part) => String(part).padStart(2, '0'))
+    .join('');
+}
+
+// Callers get copies, so nothing they do to a row changes the stored one.
+function copy(row) {
+  return row ? structuredClone(row) : null;
+}
+
+function byAdmission(a, b) {
+  return (
+    (a.admitted_at ? a.admitted_at.getTime() : 0) - (b.admitted_at ? b.admitted_at.getTime() : 0) ||
+    a.id - b.id
+  );
+}
+
+function createStorage() {
+  const now = new Date();
+  const state = {
+    queues: [
+      {
+        id: 1,
+        slug: DEFAULT_QUEUE_SLUG,
+        name: 'General',
+        prefix: 'T',
+        capacity: MAX_ALLOWED,
+        sort_order: 0,
+        active: true,
+      },
+    ],
+    sessions: [
+      {
+        id: 1,
+        session_key: sessionKeyFor(now),
+        status: 'open',
+        opened_at: now,
+        opened_by: null,
+        closed_at: null,
+        closed_by: null,
+        checkin_paused: false,
+        checkin_paused_message: null,
+      },
+    ],
+    intakeForms: [{ id: 1, fields: DEFAULT_FIELDS, created_by: null, created_at: now }],
+    tokens: [],
+    tokenEvents: [],
+    patients: [],
+    staffUsers: [],
+    // token hash -> { userId, expiresAt }
+    staffSessions: new Map(),
+    // "sessionId:queueId" -> last number issued
+    counters: new Map(),
+    // bucket -> { windowStartedAt, count }
+    rateLimits: new Map(),
+    // idempotency key -> { tokenId, createdAt }
+    idempotencyKeys: new Map(),
+  };
+
+  let handler = null;
+  let delivery = Promise.resolve();
+
+  // Events are delivered one at a time, after the operation that published
+  // them has finished changing state, like NOTIFY after COMMIT.
+  function publish(event) {
+    if (!handler) {
+      return;
+    }
+    delivery = delivery
+      .then(() => handler(event))
+      .catch((error) => {
+        logger.error('Queue event relay error', { event: event.type, error });
+      });
+  }
+
+  function openSession() {
+    return state.sessions.find((session) => session.status === 'open') || null;
+  }
+
+  function activeQueues() {
+    return state.queues
+      .filter((queue) => queue.active)
+      .sort((a, b) => a.sort_order - b.sort_order || a.id - b.id);
+  }
+
+  function queueBySlug(slug) {
+    const normalized = String(slug || '').trim().toLowerCase();
+    return state.queues.find((queue) => queue.slug === normalized) || null;
+  }
+
+  function queueById(id) {
+    return state.queues.find((queue) => queue.id === id) || null;
+  }
+
+  // A full token key, or a short token issued in the open session.
+  function findToken(token) {
+    const normalized = normalizeToken(token);
+    const session = openSession();
+    return (
+      state.tokens.find(
+        (row) =>
+          row.token_key === normalized ||
+          (row.token === normalized && session && row.session_id === session.id)
+      ) || null
+    );
+  }
+
+  // Minutes waited plus a fixed bonus per priority level, highest first.
+  function waitingInOrder(queueId) {
+    const at = Date.now();
+    const score = (row) => row.priority * PRIORITY_AGING_MINUTES + (at - row.created_at) / 60000;
+    return state.tokens
+      .filter((row) => row.status === 'waiting' && row.queue_id === queueId)
+      .sort((a, b) => score(b) - score(a) || a.id - b.id);
+  }
+
+  function statusView(row, ahead) {
+    return {
+      token: row.token,
+      token_key: row.token_key,
+      status: row.status,
+      created_at: row.created_at,
+      admitted_at: row.admitted_at,
+      finished_at: row.finished_at,
+      queue_name: queueById(row.queue_id).name,
+      ahead,
+    };
+  }
+
+  function countVisits(patientId) {
+    return state.tokens.filter((row) => row.patient_id === patientId).length;
+  }
+
+  function finish(row, status) {
+    row.status = status;
+    row.finished_at = new Date();
+  }
+
+  // Same fields as a token_events row.
+  function recordEvent(row, { fromStatus = null, toStatus, source, actor = null, details = null }) {
+    state.tokenEvents.push({
+      id: state.tokenEvents.length + 1,
+      token_id: row.id,
+      token: row.token,
+      from_status: fromStatus,
+      to_status: toStatus,
+      source,
+      actor_id: actor ? actor.id : null,
+      actor_username: actor ? actor.username : null,
+      details,
+      created_at: new Date(),
+    });
+  }
+
+  // Frees one admitted slot when the queue is at capacity, by finishing the
+  // patient admitted longest ago. Null when the capacity policy refuses to.
+  function makeRoomFor(queue, admittedToken, actor) {
+    const admitted = state.tokens
+      .filter((row) => row.status === 'allowed' && row.queue_id === queue.id)
+      .sort(byAdmission);
+
+    if (admitted.length < queue.capacity || !admitted.length) {
+      return [];
+    }
+    if (CAPACITY_POLICY !== 'evict') {
+      return null;
+    }
+
+    finish(admitted[0], 'done');
+    recordEvent(admitted[0], {
+      fromStatus: 'allowed',
+      toStatus: 'done',
+      source: EVENT_SOURCES.CAPACITY_EVICTION,
+      actor,
+      details: admittedToken ? { admitted_token: admittedToken } : null,
+    });
+    return [
+      {
+        token: admitted[0].token,
+        token_key: admitted[0].token_key,
+        reason: EVENT_SOURCES.CAPACITY_EVICTION,
+        admitted_token: admittedToken,
+      },
+    ];
+  }
+
+  function setPatientAllowed(token, { actor = null, source = EVENT_SOURCES.MANUAL_ADMIT } = {}) {
+    const patient = findToken(token);
+    if (!patient || FINAL_STATUSES.includes(patient.status)) {
+      return { notFound: true };
+    }
+
+    const queue = queueById(patient.queue_id);
+
+    if (patient.status === 'allowed') {
+      return { patient: copy(patient), queue: copy(queue), tokensFinished: [] };
+    }
+
+    const tokensFinished = makeRoomFor(queue, patient.token, actor);
+    if (!tokensFinished) {
+      return { full: true, patient: copy(patient), queue: copy(queue) };
+    }
+    recordEvent(patient, { fromStatus: patient.status, toStatus: 'allowed', source, actor });
+    patient.status = 'allowed';
+    patient.admitted_at = new Date();
+
+    return { patient: copy(patient), queue: copy(queue), tokensFinished };
+  }
+
+  function findIdempotentCheckin(idempotencyKey) {
+    const cutoff = Date.now() - IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000;
+    for (const [key, entry] of state.idempotencyKeys) {
+      if (entry.createdAt < cutoff) {
+        state.idempotencyKeys.delete(key);
+      }
+    }
+
+    const entry = state.idempotencyKeys.get(idempotencyKey);
+    const row = entry && state.tokens.find((token) => token.id === entry.tokenId);
+    if (!row) {
+      return null;
+    }
+
+    const queue = queueById(row.queue_id);
+    return {
+      success: true,
+      replayed: true,
+      token: row.token,
+      token_key: row.token_key,
+      session: state.sessions.find((session) => session.id === row.session_id).session_key,
+      queue: { slug: queue.slug, name: queue.name },
+    };
+  }
+
+  function upsertPatientRecord({ phoneDigits, birthDate, name, country, sex, phone, language }) {
+    let patient = state.patients.find(
+      (row) => row.phone_digits === phoneDigits && row.birth_date === birthDate
+    );
+    if (!patient) {
+      patient = {
+        id: state.patients.length + 1,
+        phone_digits: phoneDigits,
+        birth_date: birthDate,
+        created_at: new Date(),
+      };
+      state.patients.push(patient);
+    }
+    Object.assign(patient, { name, country, sex, phone, language, last_visit_at: new Date() });
+    return patient.id;
+  }
+
+  return {
+    name: 'memory',
+
+    async prepare() {
+      logger.warn('Using in-memory storage: queue data is lost when the server stops');
+    },
+
+    subscribe(options) {
+      handler = options.handler;
+      return () => {
+        handler = null;
+      };
+    },
+
+    // Nothing to reach: ready once the process is up.
+    async checkReady() {},
+
+    // ---- Staff accounts ----
+
+    async countStaffUsers() {
+      return state.staffUsers.length;
+    },
+
+    async createStaffUser({ username, passwordHash, role }) {
+      if (state.staffUsers.some((user) => user.username === username)) {
+        return;
+      }
+      state.staffUsers.push({
+        id: state.staffUsers.length + 1,
+        username,
+        password_hash: passwordHash,
+        role,
+        active: true,
+        last_login_at: null,
+        created_at: new Date(),
+      });
+    },
+
+    async findActiveStaffUser(username) {
+      return copy(state.staffUsers.find((user) => user.username === username && user.active));
+    },
+
+    async findStaffBySession(tokenHash) {
+      const session = state.staffSessions.get(tokenHash);
+      if (!session || session.expiresAt <= Date.now()) {
+        return null;
+      }
+      return copy(state.staffUsers.find((user) => user.id === session.userId && user.active));
+    },
+
+    async createStaffSession({ tokenHash, userId, ttlHours }) {
+      for (const [hash, session] of state.staffSessions) {
+        if (session.expiresAt <= Date.now()) {
+          state.staffSessions.delete(hash);
+        }
+      }
+      state.staffSessions.set(tokenHash, {
+        userId,
+        expiresAt: Date.now() + ttlHours * 60 * 60 * 1000,
+      });
+      state.staffUsers.find((user) => user.id === userId).last_login_at = new Date();
+    },
+
+    async deleteStaffSession(tokenHash) {
+      state.staffSessions.delete(tokenHash);
+    },
+
+    // ---- Check-in protection ----
+
+    async consumeRateLimit(bucket, limit, windowSeconds) {
+      const at = Date.now();
+      let entry = state.rateLimits.get(bucket);
+      if (!entry || entry.windowStartedAt <= at - windowSeconds * 1000) {
+        entry = { windowStartedAt: at, count: 0 };
+        state.rateLimits.set(bucket, entry);
+      }
+      entry.count += 1;
+
+      const retryAfter = Math.ceil((entry.windowStartedAt + windowSeconds * 1000 - at) / 1000);
+      return entry.count > limit ? Math.max(retryAfter, 1) : 0;
+    },
+
+    async rateLimitRetryAfter(bucket, limit, windowSeconds) {
+      const at = Date.now();
+      const entry = state.rateLimits.get(bucket);
+      if (!entry || entry.windowStartedAt <= at - windowSeconds * 1000 || entry.count < limit) {
+        return 0;
+      }
+      return Math.max(Math.ceil((entry.windowStartedAt + windowSeconds * 1000 - at) / 1000), 1);
+    },
+
+    async pruneRateLimits(windowSeconds) {
+      const cutoff = Date.now() - windowSeconds * 1000;
+      for (const [bucket, entry] of state.rateLimits) {
+        if (entry.windowStartedAt < cutoff) {
+          state.rateLimits.delete(bucket);
+        }
+      }
+    },
+
+    async findIdempotentCheckin(idempotencyKey) {
+      return findIdempotentCheckin(idempotencyKey);
+    },
+
+    // ---- Reads ----
+
+    async listQueues({ includeInactive = false } = {}) {
+      const queues = includeInactive
+        ? [...state.queues].sort((a, b) => a.sort_order - b.sort_order || a.id - b.id)
+        : activeQueues();
+      return queues.map(copy);
+    },
+
+    async getQueueBySlug(slug) {
+      return copy(queueBySlug(slug));
+    },
+
+    async getOpenSession() {
+      return copy(openSession());
+    },
+
+    async getSession(id) {
+      return copy(state.sessions.find((session) => session.id === id));
+    },
+
+    async getIntakeForm() {
+      return copy(state.intakeForms[state.intakeForms.length - 1]);
+    },
+
+    async getToken(id) {
+      return copy(state.tokens.find((row) => row.id === id));
+    },
+
+    async countVisits(patientId) {
+      return countVisits(patientId);
+    },
+
+    async findPatient(phoneDigits, birthDate) {
+      const patient = state.patients.find(
+        (row) => row.phone_digits === phoneDigits && row.birth_date === birthDate
+      );
+      return patient
+        ? {
+            name: patient.name,
+            country: patient.country,
+            sex: patient.sex,
+          }
+        : null;
+    },
+
+    async getPatientVisits(patientId) {
+      const patient = state.patients.find((row) => row.id === patientId);
+      if (!patient) {
+        return null;
+      }
+
+      const visits = state.tokens
+        .filter((row) => row.patient_id === patientId)
+        .sort((a, b) => b.created_at - a.created_at || b.id - a.id)
+        .map((row) => ({
+          id: row.id,
+          token: row.token,
+          token_key: row.token_key,
+          status: row.status,
+          details: row.details,
+          priority: row.priority,
+          created_at: row.created_at,
+          admitted_at: row.admitted_at,
+          finished_at: row.finished_at,
+          queue_name: queueById(row.queue_id).name,
+        }));
+
+      return copy({
+        id: patient.id,
+        name: patient.name,
+        country: patient.country,
+        sex: patient.sex,
+        phone: patient.phone,
+        language: patient.language,
+        birth_date: patient.birth_date,
+        created_at: patient.created_at,
+        last_visit_at: patient.last_visit_at,
+        visits,
+      });
+    },
+
+    // No notifications are queued here, so that list is always empty.
+    async getTokenHistory(token) {
+      const row = findToken(token);
+      if (!row) {
+        return null;
+      }
+
+      return copy({
+        id: row.id,
+        token: row.token,
+        token_key: row.token_key,
+        status: row.status,
+        created_at: row.created_at,
+        admitted_at: row.admitted_at,
+        finished_at: row.finished_at,
+        events: state.tokenEvents.filter((event) => event.token_id === row.id),
+        notifications: [],
+      });
+    },
+
+    async getTokenStatus(token) {
+      const row = findToken(token);
+      if (!row) {
+        return null;
+      }
+      const ahead = row.status === 'waiting' ? waitingInOrder(row.queue_id).indexOf(row) : null;
+      return copy(statusView(row, ahead));
+    },
+
+    async getAllowedPatients(queue) {
+      const session = openSession();
+      return state.tokens
+        .filter(
+          (row) =>
+            row.status === 'allowed' &&
+            row.queue_id === queue.id &&
+            session &&
+            row.session_id === session.id
+        )
+        .sort(byAdmission)
+        .slice(0, queue.capacity)
+        .map(copy);
+    },
+
+    async listPatients({ queues, statuses, search, from, to, order, cursor, limit }) {
+      const session = openSession();
+      const queueIds = queues.map((queue) => queue.id);
+      // Local midnight, like a ::date cast in postgres.
+      const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : null;
+      const toTime = to ? new Date(`${to}T00:00:00`).getTime() + 24 * 60 * 60 * 1000 : null;
+      const token = search ? normalizeToken(search) : null;
+      const nameSearch = search ? search.toLowerCase() : null;
+      const phoneDigits = search ? phoneSearchDigits(search) : null;
+
+      const matching = state.tokens
+        .filter((row) => queueIds.includes(row.queue_id) && statuses.includes(row.status))
+        .filter((row) =>
+          from || to
+            ? (!fromTime || row.created_at.getTime() >= fromTime) &&
+              (!toTime || row.created_at.getTime() < toTime)
+            : session && row.session_id === session.id
+        )
+        .filter(
+          (row) =>
+            !search ||
+            row.token === token ||
+            row.token_key === token ||
+            String(row.name || '').toLowerCase().includes(nameSearch) ||
+            Boolean(phoneDigits && String(row.phone || '').replace(/\D/g, '').includes(phoneDigits))
+        )
+        .filter((row) => !cursor || (order === 'desc' ? row.id < cursor : row.id > cursor))
+        .sort((a, b) => (order === 'desc' ? b.id - a.id : a.id - b.id));
+
+      const patients = matching.slice(0, limit).map((row) => ({
+        ...copy(row),
+        visit_count: row.patient_id ? countVisits(row.patient_id) : 1,
+      }));
+      return {
+        patients,
+        nextCursor: matching.length > limit ? String(patients[patients.length - 1].id) : null,
+      };
+    },
+
+    async countTokensByStatus() {
+      const session = openSession();
+      const counts = new Map();
+      state.tokens
+        .filter((row) => session && row.session_id === session.id)
+        .forEach((row) => {
+          const key = `${queueById(row.queue_id).slug}:${row.status}`;
+          const entry = counts.get(key) || {
+            queue: queueById(row.queue_id).slug,
+            status: row.status,
+            count: 0,
+          };
+          entry.count += 1;
+          counts.set(key, entry);
+        });
+      return [...counts.values()];
+    },
+
+    async listWaitingStatuses() {
+      return state.queues.flatMap((queue) =>
+        waitingInOrder(queue.id).map((row, ahead) => copy(statusView(row, ahead)))
+      );
+    },
+
+    // ---- Queues and sessions ----
+
+    async createQueue(values) {
+      const taken = state.queues.some(
+        (queue) => queue.slug === values.slug || queue.prefix === values.prefix
+      );
+      if (taken) {
+        return null;
+      }
+
+      const queue = {
+        id: Math.max(0, ...state.queues.map((row) => row.id)) + 1,
+        slug: values.slug,
+        name: values.name,
+        prefix: values.prefix,
+        capacity: values.capacity,
+        sort_order: values.sort_order ?? 0,
+        active: values.active ?? true,
+      };
+      state.queues.push(queue);
+      return copy(queue);
+    },
+
+    async updateQueue(slug, values) {
+      const queue = queueBySlug(slug);
+      if (!queue) {
+        return null;
+      }
+      Object.assign(queue, values);
+      return copy(queue);
+    },
+
+    async listSessions() {
+      const username = (id) => {
+        const user = state.staffUsers.find((row) => row.id === id);
+        return user ? user.username : null;
+      };
+      const tokens = (session, status) =>
+        state.tokens.filter(
+          (row) => row.session_id === session.id && (!status || row.status === status)
+        ).length;
+
+      return [...state.sessions]
+        .sort((a, b) => b.opened_at - a.opened_at)
+        .slice(0, 30)
+        .map((session) =>
+          copy({
+            id: session.id,
+            session_key: session.session_key,
+            status: session.status,
+            opened_at: session.opened_at,
+            closed_at: session.closed_at,
+            opened_by: username(session.opened_by),
+            closed_by: username(session.closed_by),
+            tokens_issued: tokens(session),
+            tokens_done: tokens(session, 'done'),
+            tokens_closed: tokens(session, 'closed'),
+          })
+        );
+    },
+
+    async createSession({ actor }) {
+      if (openSession()) {
+        return { alreadyOpen: true };
+      }
+
+      const now = new Date();
+      const base = sessionKeyFor(now);
+      const used = state.sessions.filter(
+        ({ session_key: key }) => key === base || key.startsWith(`${base}-`)
+      ).length;
+      const session = {
+        id: state.sessions.length + 1,
+        session_key: used ? `${base}-${used + 1}` : base,
+        status: 'open',
+        opened_at: now,
+        opened_by: actor.id,
+        closed_at: null,
+        closed_by: null,
+        checkin_paused: false,
+        checkin_paused_message: null,
+      };
+      state.sessions.push(session);
+
+      publish({ type: QUEUE_EVENTS.SESSION_CHANGED, session_id: session.id });
+
+      return { session: copy(session) };
+    },
+
+    async setCheckinPaused(paused, message) {
+      const session = openSession();
+      if (!session) {
+        return null;
+      }
+
+      session.checkin_paused = paused;
+      session.checkin_paused_message = message;
+
+      publish({ type: QUEUE_EVENTS.SESSION_CHANGED, session_id: session.id });
+
+      return copy(session);
+    },
+
+    async closeSession({ actor }) {
+      const session = openSession();
+      if (!session) {
+        return null;
+      }
+
+      const closedTokens = state.tokens.filter(
+        (row) => row.session_id === session.id && ['waiting', 'allowed'].includes(row.status)
+      );
+      closedTokens.forEach((row) => {
+        recordEvent(row, {
+          fromStatus: row.status,
+          toStatus: 'closed',
+          source: EVENT_SOURCES.SESSION_CLOSE,
+          actor,
+        });
+        finish(row, 'closed');
+      });
+
+      session.status = 'closed';
+      session.closed_at = new Date();
+      session.closed_by = actor.id;
+
+      state.queues.forEach((queue) => {
+        publish({ type: QUEUE_EVENTS.ALLOWED_CHANGED, queue: queue.slug });
+      });
+      publish({ type: QUEUE_EVENTS.SESSION_CHANGED, session_id: session.id });
+      await publishTokenChanges(publish, closedTokens.map((row) => row.token_key));
+
+      return { session: copy(session), closed: closedTokens.length };
+    },
+
+    // ---- Queue operations ----
+
+    async checkin(input) {
+      if (input.idempotencyKey) {
+        const replay = findIdempotentCheckin(input.idempotencyKey);
+        if (replay) {
+          return { replay };
+        }
+      }
+
+      const queue = input.queueSlug ? queueBySlug(input.queueSlug) : pickDefaultQueue(activeQueues());
+      if (!queue || !queue.active) {
+        return { rejected: 'INVALID_QUEUE' };
+      }
+
+      const session = openSession();
+      if (!session) {
+        return { rejected: 'CHECKIN_CLOSED' };
+      }
+      if (session.checkin_paused) {
+        return { rejected: 'CHECKIN_PAUSED', message: session.checkin_paused_message };
+      }
+
+      const existing = state.tokens
+        .filter(
+          (row) =>
+            row.session_id === session.id &&
+            row.queue_id === queue.id &&
+            ['waiting', 'allowed'].includes(row.status) &&
+            String(row.phone || '').replace(/\D/g, '') === input.phoneDigits
+        )
+        .pop();
+      if (existing) {
+        return {
+          duplicate: { token: existing.token, token_key: existing.token_key },
+          session: copy(session),
+          queue: copy(queue),
+        };
+      }
+
+      const counterKey = `${session.id}:${queue.id}`;
+      const number = (state.counters.get(counterKey) || 0) + 1;
+      state.counters.set(counterKey, number);
+
+      const token = formatToken(queue.prefix, number);
+      const patientId = input.birthDate ? upsertPatientRecord(input) : null;
+
+      const row = {
+        id: state.tokens.length + 1,
+        token,
+        name: input.name,
+        age: input.age,
+        country: input.country,
+        details: input.details,
+        status: 'waiting',
+        sex: input.sex,
+        phone: input.phone,
+        queue_id: queue.id,
+        priority: input.priority,
+        session_id: session.id,
+        token_key: formatTokenKey(session, token),
+        language: input.language,
+        patient_id: patientId,
+        age_band: ageBand(input.age),
+        answers: Object.keys(input.answers).length ? input.answers : null,
+        form_id: input.formId,
+        created_at: new Date(),
+        admitted_at: null,
+        finished_at: null,
+        anonymized_at: null,
+      };
+      state.tokens.push(row);
+      recordEvent(row, {
+        toStatus: 'waiting',
+        source: EVENT_SOURCES.CHECKIN,
+        details: input.priority > 0 ? { priority: PRIORITY_LEVELS[input.priority] } : null,
+      });
+
+      if (input.idempotencyKey) {
+        state.idempotencyKeys.set(input.idempotencyKey, { tokenId: row.id, createdAt: Date.now() });
+      }
+
+      publish({ type: QUEUE_EVENTS.NEW_PATIENT, queue: queue.slug, token_id: row.id });
+      if (input.priority > 0) {
+        publish({ type: QUEUE_EVENTS.POSITIONS_CHANGED });
+      }
+
+      return {
+        patient: { ...copy(row), visit_count: patientId ? countVisits(patientId) : 1 },
+        session: copy(session),
+        queue: copy(queue),
+      };
+    },
+
+    async admit(token, options) {
+      const result = setPatientAllowed(token, options);
+      if (result.notFound || result.full) {
+        return result;
+      }
+
+      await publishAdmissions(publish, result.queue, result.tokensFinished);
+      await publishTokenChanges(publish, [
+        result.patient.token_key,
+        ...result.tokensFinished.map((finished) => finished.token_key),
+      ]);
+
+      return result;
+    },
+
+    async admitNext(queue, count, { actor = null } = {}) {
+      const waiting = waitingInOrder(queue.id).slice(0, count);
+      const promoted = [];
+      const finishedTokens = [];
+      let full = false;
+
+      for (const row of waiting) {
+        const result = setPatientAllowed(row.token_key, {
+          actor,
+          source: EVENT_SOURCES.BATCH_NEXT,
+        });
+        if (result.full) {
+          full = true;
+          break;
+        }
+        promoted.push(result.patient);
+        finishedTokens.push(...result.tokensFinished);
+      }
+
+      if (!promoted.length) {
+        return { admitted: [], evicted: [], full };
+      }
+
+      await publishAdmissions(publish, queue, finishedTokens);
+      await publishTokenChanges(publish, [
+        ...promoted.map((patient) => patient.token_key),
+        ...finishedTokens.map((finished) => finished.token_key),
+      ]);
+
+      return { admitted: promoted, evicted: finishedTokens, full };
+    },
+
+    async remove(token, { actor = null } = {}) {
+      const current = findToken(token);
+      if (!current) {
+        return { notFound: true };
+      }
+
+      if (FINAL_STATUSES.includes(current.status)) {
+        return { patient: copy(current) };
+      }
+
+      const wasAllowed = current.status === 'allowed';
+      const patient = copy(current);
+      recordEvent(current, {
+        fromStatus: current.status,
+        toStatus: 'done',
+        source: EVENT_SOURCES.MANUAL_REMOVE,
+        actor,
+      });
+      finish(current, 'done');
+
+      if (wasAllowed) {
+        await publishAdmissions(publish, queueById(current.queue_id), [current]);
+      }
+      await publishTokenChanges(publish, [current.token_key]);
+
+      return { patient };
+    },
+
+    async recall(token, { actor = null } = {}) {
+      const current = findToken(token);
+      if (!current) {
+        return { notFound: true };
+      }
+      if (current.status !== 'allowed') {
+        return { notAdmitted: true };
+      }
+
+      recordEvent(current, {
+        fromStatus: current.status,
+        toStatus: current.status,
+        source: EVENT_SOURCES.RECALL,
+        actor,
+      });
+      publish({
+        type: QUEUE_EVENTS.ANNOUNCE,
+        queue: queueById(current.queue_id).slug,
+        token: current.token,
+      });
+
+      return { patient: copy(current) };
+    },
+
+    async setPriority(token, priority, { actor = null } = {}) {
+      const current = findToken(token);
+      if (!current || !['waiting', 'allowed'].includes(current.status)) {
+        return { notFound: true };
+      }
+
+      if (current.priority !== priority) {
+        recordEvent(current, {
+          fromStatus: current.status,
+          toStatus: current.status,
+          source: EVENT_SOURCES.PRIORITY_CHANGE,
+          actor,
+          details: {
+            from_priority: PRIORITY_LEVELS[current.priority],
+            to_priority: PRIORITY_LEVELS[priority],
+          },
+        });
+      }
+      current.priority = priority;
+
+      publish({
+        type: QUEUE_EVENTS.PATIENT_UPDATED,
+        queue: queueById(current.queue_id).slug,
+        token_id: current.id,
+      });
+      publish({ type: QUEUE_EVENTS.POSITIONS_CHANGED });
+
+      return { patient: copy(current) };
+    },
+
+    async autoFinishOverdue(minutes) {
+      const cutoff = Date.now() - minutes * 60 * 1000;
+      const overdue = state.tokens.filter(
+        (row) => row.status === 'allowed' && row.admitted_at && row.admitted_at.getTime() < cutoff
+      );
+      if (!overdue.length) {
+        return [];
+      }
+
+      overdue.forEach((row) => {
+        finish(row, 'done');
+        recordEvent(row, {
+          fromStatus: 'allowed',
+          toStatus: 'done',
+          source: EVENT_SOURCES.AUTO_FINISH,
+          details: { after_minutes: minutes },
+        });
+      });
+      for (const queue of state.queues) {
+        const finished = overdue.filter((row) => row.queue_id === queue.id);
+        if (finished.length) {
+          await publishAdmissions(publish, queue, finished);
+        }
+      }
+      await publishTokenChanges(publish, overdue.map((row) => row.token_key));
+
+      return overdue.map((row) => ({
+        token: row.token,
+        token_key: row.token_key,
+        queue: queueById(row.queue_id).slug,
+      }));
+    },
+  };
+}
+
+module.exports = {
+  createStorage,
+};
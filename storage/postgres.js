@@ -0,0 +1,1488 @@
+// PostgreSQL storage, the production backend. Every queue operation runs in
+// one transaction and publishes its events with NOTIFY inside it, so other
+// instances only hear about changes that committed.
+
+const { migrateUp, pendingMigrations, unappliedMigrations } = require('../migrate');
+const { publishEvent, startEventListener } = require('../events');
+const { logger } = require('../logger');
+const {
+  NOTIFICATION_KINDS,
+  notificationsEnabled,
+  enqueueNotification,
+} = require('../notifications');
+const {
+  PRIORITY_LEVELS,
+  PRIORITY_AGING_MINUTES,
+  IDEMPOTENCY_KEY_TTL_HOURS,
+  CAPACITY_POLICY,
+  EVENT_SOURCES,
+  FINAL_STATUSES,
+  QUEUE_EVENTS,
+  normalizeToken,
+  formatToken,
+  formatTokenKey,
+  phoneSearchDigits,
+  pickDefaultQueue,
+  publishTokenChanges,
+  publishAdmissions,
+} = require('./common');
+
+const MIGRATE_ON_START = process.env.MIGRATE_ON_START !== 'false';
+// Patients get an "almost your turn" text once this many or fewer are ahead.
+const NOTIFY_AHEAD_THRESHOLD = parseInt(process.env.NOTIFY_AHEAD_THRESHOLD || '3', 10);
+
+// Score used to pick the next waiting patient: minutes waited plus a fixed
+// bonus per priority level. Ties fall back to arrival order.
+function waitingOrderSql(alias = 'tokens') {
+  return `(${alias}.priority * ${PRIORITY_AGING_MINUTES}
+    + EXTRACT(EPOCH FROM (NOW() - ${alias}.created_at)) / 60) DESC, ${alias}.id ASC`;
+}
+
+// Matches either a full token key ("20251104-T12") or a short token ("T12")
+// issued in the currently open session. `$1` must be the normalized token.
+const TOKEN_LOOKUP_SQL = `(
+  t.token_key = $1
+  OR (t.token = $1 AND t.session_id = (SELECT id FROM clinic_sessions WHERE status = 'open'))
+)`;
+
+// Makes user input match literally inside a LIKE pattern.
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, '\\$&');
+}
+
+async function getOpenSession(client, { lock } = {}) {
+  const { rows } = await client.query(
+    `SELECT * FROM clinic_sessions
+     WHERE status = 'open'
+     ${lock ? `FOR ${lock}` : ''}`
+  );
+  return rows[0] || null;
+}
+
+// Session keys are the opening date; a second session on the same day gets a
+// numeric suffix ("20251104-2").
+async function nextSessionKey(client) {
+  const { rows } = await client.query(
+    `SELECT to_char(NOW(), 'YYYYMMDD') AS base,
+            COUNT(*) FILTER (
+              WHERE session_key = to_char(NOW(), 'YYYYMMDD')
+                 OR session_key LIKE to_char(NOW(), 'YYYYMMDD') || '-%'
+            )::int AS used
+     FROM clinic_sessions`
+  );
+  const { base, used } = rows[0];
+  return used ? `${base}-${used + 1}` : base;
+}
+
+async function listQueues(client, { includeInactive = false } = {}) {
+  const { rows } = await client.query(
+    `SELECT id, slug, name, prefix, capacity, sort_order, active
+     FROM queues
+     WHERE $1 OR active
+     ORDER BY sort_order ASC, id ASC`,
+    [includeInactive]
+  );
+  return rows;
+}
+
+async function getQueueById(client, id) {
+  const { rows } = await client.query(
+    `SELECT id, slug, name, prefix, capacity, sort_order, active
+     FROM queues
+     WHERE id = $1`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+async function getQueueBySlug(client, slug) {
+  const { rows } = await client.query(
+    `SELECT id, slug, name, prefix, capacity, sort_order, active
+     FROM queues
+     WHERE slug = $1`,
+    [String(slug || '').trim().toLowerCase()]
+  );
+  return rows[0] || null;
+}
+
+async function getDefaultQueue(client) {
+  return pickDefaultQueue(await listQueues(client));
+}
+
+// The live intake form is the newest version.
+async function getIntakeForm(client) {
+  const { rows } = await client.query(
+    `SELECT id, fields, created_at FROM intake_forms ORDER BY id DESC LIMIT 1`
+  );
+  return rows[0];
+}
+
+// Public view of a single token: never include name, phone or other patient
+// details here, this is served to anyone who knows the token string.
+async function getTokenStatus(client, token) {
+  const { rows } = await client.query(
+    `WITH ranked AS (
+       SELECT w.id,
+              (ROW_NUMBER() OVER (
+                PARTITION BY w.queue_id ORDER BY ${waitingOrderSql('w')}
+              ) - 1)::int AS ahead
+       FROM tokens w
+       WHERE w.status = 'waiting'
+     )
+     SELECT t.token, t.token_key, t.status, t.created_at, t.admitted_at, t.finished_at,
+            q.name AS queue_name, r.ahead
+     FROM tokens t
+     JOIN queues q ON q.id = t.queue_id
+     LEFT JOIN ranked r ON r.id = t.id
+     WHERE ${TOKEN_LOOKUP_SQL}`,
+    [normalizeToken(token)]
+  );
+  return rows[0] || null;
+}
+
+async function recordTokenEvent(
+  client,
+  { tokenId, token, fromStatus = null, toStatus, source, actor = null, details = null }
+) {
+  await client.query(
+    `INSERT INTO token_events
+       (token_id, token, from_status, to_status, source, actor_id, actor_username, details)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [
+      tokenId,
+      token,
+      fromStatus,
+      toStatus,
+      source,
+      actor ? actor.id : null,
+      actor ? actor.username : null,
+      details ? JSON.stringify(details) : null,
+    ]
+  );
+}
+
+async function getAllowedPatients(client, queue) {
+  const { rows } = await client.query(
+    `SELECT * FROM tokens
+     WHERE status = 'allowed' AND queue_id = $1
+       AND session_id = (SELECT id FROM clinic_sessions WHERE status = 'open')
+     ORDER BY admitted_at ASC NULLS FIRST, id ASC
+     LIMIT $2`,
+    [queue.id, queue.capacity]
+  );
+  return rows;
+}
+
+// Serialises admissions per queue so two at once cannot both take the last
+// free slot. Taken before any token row is locked, so admissions always lock
+// queue then tokens. NO KEY UPDATE does not block the KEY SHARE lock that
+// inserting a token takes on its queue through the foreign key.
+async function lockQueueForAdmission(client, queueId) {
+  await client.query(`SELECT id FROM queues WHERE id = $1 FOR NO KEY UPDATE`, [queueId]);
+}
+
+// Frees `slotsNeeded` admitted slots in a full queue under the `evict`
+// capacity policy, finishing the patients admitted longest ago. Returns them,
+// or null when the queue is full and the policy refuses to evict. The caller
+// holds lockQueueForAdmission().
+async function makeRoomFor(client, queue, slotsNeeded, { actor, admittedToken } = {}) {
+  const tokensFinished = [];
+
+  while (slotsNeeded > 0) {
+    const countRes = await client.query(
+      `SELECT COUNT(*)::int AS count
+       FROM tokens
+       WHERE status = 'allowed' AND queue_id = $1`,
+      [queue.id]
+    );
+    const allowedCount = countRes.rows[0].count;
+
+    if (allowedCount < queue.capacity) {
+      break;
+    }
+    if (CAPACITY_POLICY !== 'evict') {
+      return null;
+    }
+
+    const oldestRes = await client.query(
+      `UPDATE tokens
+       SET status = 'done', finished_at = NOW()
+       WHERE id = (
+         SELECT id FROM tokens
+         WHERE status = 'allowed' AND queue_id = $1
+         ORDER BY admitted_at ASC NULLS FIRST, id ASC
+         LIMIT 1
+       )
+       RETURNING id, token, token_key`,
+      [queue.id]
+    );
+
+    if (!oldestRes.rows.length) {
+      break;
+    }
+
+    await recordTokenEvent(client, {
+      tokenId: oldestRes.rows[0].id,
+      token: oldestRes.rows[0].token,
+      fromStatus: 'allowed',
+      toStatus: 'done',
+      source: EVENT_SOURCES.CAPACITY_EVICTION,
+      actor,
+      details: admittedToken ? { admitted_token: admittedToken } : null,
+    });
+
+    tokensFinished.push({
+      token: oldestRes.rows[0].token,
+      token_key: oldestRes.rows[0].token_key,
+      reason: EVENT_SOURCES.CAPACITY_EVICTION,
+      admitted_token: admittedToken,
+    });
+    slotsNeeded -= 1;
+  }
+
+  return tokensFinished;
+}
+
+async function setPatientAllowed(
+  client,
+  token,
+  { actor = null, source = EVENT_SOURCES.MANUAL_ADMIT } = {}
+) {
+  const normalizedToken = normalizeToken(token);
+  const patientRes = await client.query(
+    `SELECT * FROM tokens t
+     WHERE ${TOKEN_LOOKUP_SQL}
+     FOR UPDATE`,
+    [normalizedToken]
+  );
+
+  if (!patientRes.rows.length) {
+    return { notFound: true };
+  }
+
+  const patient = patientRes.rows[0];
+
+  if (FINAL_STATUSES.includes(patient.status)) {
+    return { notFound: true };
+  }
+
+  const queue = await getQueueById(client, patient.queue_id);
+
+  if (patient.status === 'allowed') {
+    return { patient, queue, tokensFinished: [] };
+  }
+
+  const tokensFinished = await makeRoomFor(client, queue, 1, {
+    actor,
+    admittedToken: patient.token,
+  });
+  if (!tokensFinished) {
+    return { full: true, patient, queue };
+  }
+
+  const updateRes = await client.query(
+    `UPDATE tokens
+     SET status = 'allowed', admitted_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [patient.id]
+  );
+
+  await recordTokenEvent(client, {
+    tokenId: patient.id,
+    token: patient.token,
+    fromStatus: patient.status,
+    toStatus: 'allowed',
+    source,
+    actor,
+  });
+
+  await enqueueNotification(client, NOTIFICATION_KINDS.ADMITTED, updateRes.rows[0], {
+    queue: queue.name,
+  });
+
+  return { patient: updateRes.rows[0], queue, tokensFinished };
+}
+
+// Places in line of the waiting tokens of `queueId`, by token id, taken
+// before a change so notifyMovedUp() can tell who moved up. Null while
+// notifications are off.
+async function snapshotPositions(client, queueId) {
+  if (!notificationsEnabled()) {
+    return null;
+  }
+  const { rows } = await client.query(
+    `SELECT id, (ROW_NUMBER() OVER (ORDER BY ${waitingOrderSql()}) - 1)::int AS ahead
+     FROM tokens
+     WHERE status = 'waiting' AND queue_id = $1`,
+    [queueId]
+  );
+  return new Map(rows.map((row) => [row.id, row.ahead]));
+}
+
+// Queues the "almost your turn" text for each waiting patient of `queue`
+// whose place improved since `before` and who now has NOTIFY_AHEAD_THRESHOLD
+// or fewer ahead. Check-ins never take a snapshot: a patient who joins near
+// the front already knows it from the confirmation.
+async function notifyMovedUp(client, queue, before) {
+  if (!before) {
+    return;
+  }
+  const after = await snapshotPositions(client, queue.id);
+  const movedUp = [...after]
+    .filter(([id, ahead]) => ahead <= NOTIFY_AHEAD_THRESHOLD && ahead < before.get(id))
+    .map(([id]) => id);
+  if (!movedUp.length) {
+    return;
+  }
+
+  const { rows } = await client.query(`SELECT * FROM tokens WHERE id = ANY($1::int[])`, [
+    movedUp,
+  ]);
+  for (const row of rows) {
+    await enqueueNotification(client, NOTIFICATION_KINDS.ALMOST_UP, row, {
+      queue: queue.name,
+      ahead: after.get(row.id),
+    });
+  }
+}
+
+// Numbers start at 1 in every session and count per queue. The upsert takes a
+// row lock, which serialises concurrent check-ins to the same queue.
+async function nextQueueNumber(client, session, queue) {
+  const { rows } = await client.query(
+    `INSERT INTO session_queue_counters (session_id, queue_id, last_number)
+     VALUES ($1, $2, 1)
+     ON CONFLICT (session_id, queue_id)
+     DO UPDATE SET last_number = session_queue_counters.last_number + 1
+     RETURNING last_number`,
+    [session.id, queue.id]
+  );
+  return rows[0].last_number;
+}
+
+// The response for a check-in already made with this Idempotency-Key, or null.
+// Like a duplicate, it carries only the token.
+async function findIdempotentCheckin(client, idempotencyKey) {
+  const { rows } = await client.query(
+    `SELECT t.token, t.token_key, s.session_key, q.slug AS queue_slug, q.name AS queue_name
+     FROM checkin_idempotency_keys k
+     JOIN tokens t ON t.id = k.token_id
+     JOIN clinic_sessions s ON s.id = t.session_id
+     JOIN queues q ON q.id = t.queue_id
+     WHERE k.idempotency_key = $1
+       AND k.created_at >= NOW() - make_interval(hours => $2)`,
+    [idempotencyKey, IDEMPOTENCY_KEY_TTL_HOURS]
+  );
+  if (!rows.length) {
+    return null;
+  }
+
+  const row = rows[0];
+  return {
+    success: true,
+    replayed: true,
+    token: row.token,
+    token_key: row.token_key,
+    session: row.session_key,
+    queue: { slug: row.queue_slug, name: row.queue_name },
+  };
+}
+
+// A double tap or a refreshed kiosk should get the patient's existing token
+// back rather than a second place in the same queue.
+async function findActiveToken(client, session, queue, digits) {
+  const { rows } = await client.query(
+    `SELECT token, token_key
+     FROM tokens
+     WHERE session_id = $1 AND queue_id = $2
+       AND status IN ('waiting', 'allowed')
+       AND regexp_replace(phone, '\\D', '', 'g') = $3
+     ORDER BY id DESC
+     LIMIT 1`,
+    [session.id, queue.id, digits]
+  );
+  return rows[0] || null;
+}
+
+// Creates the patient on a first visit; on later visits refreshes the stored
+// details with what was just entered.
+async function upsertPatientRecord(
+  client,
+  { phoneDigits, birthDate, name, country, sex, phone, language }
+) {
+  const { rows } = await client.query(
+    `INSERT INTO patients (phone_digits, birth_date, name, country, sex, phone, language)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (phone_digits, birth_date) DO UPDATE
+     SET name = EXCLUDED.name,
+         country = EXCLUDED.country,
+         sex = EXCLUDED.sex,
+         phone = EXCLUDED.phone,
+         language = EXCLUDED.language,
+         last_visit_at = NOW()
+     RETURNING id`,
+    [phoneDigits, birthDate, name, country, sex, phone, language]
+  );
+  return rows[0].id;
+}
+
+async function countVisits(client, patientId) {
+  const { rows } = await client.query(
+    `SELECT COUNT(*)::int AS count FROM tokens WHERE patient_id = $1`,
+    [patientId]
+  );
+  return rows[0].count;
+}
+
+function createStorage({ pool }) {
+  if (!pool) {
+    throw new Error('The postgres storage backend needs a connection pool');
+  }
+
+  let lastIdempotencyPrune = 0;
+
+  async function pruneIdempotencyKeys() {
+    if (Date.now() - lastIdempotencyPrune < 60 * 60 * 1000) {
+      return;
+    }
+    lastIdempotencyPrune = Date.now();
+    await pool.query(
+      `DELETE FROM checkin_idempotency_keys
+       WHERE created_at < NOW() - make_interval(hours => $1)`,
+      [IDEMPOTENCY_KEY_TTL_HOURS]
+    );
+  }
+
+  return {
+    name: 'postgres',
+
+    // Applies pending migrations unless MIGRATE_ON_START=false, in which case
+    // operators run `npm run migrate` themselves and we only verify.
+    async prepare() {
+      if (MIGRATE_ON_START) {
+        await migrateUp(pool, { log: (message) => logger.info(message) });
+        logger.info('Database schema up to date');
+        return;
+      }
+
+      const pending = await pendingMigrations(pool);
+      if (pending.length) {
+        throw new Error(
+          `Pending migrations: ${pending
+            .map((migration) => `${migration.version}_${migration.name}`)
+            .join(', ')}. Run "npm run migrate".`
+        );
+      }
+    },
+
+    subscribe({ handler, onReconnect }) {
+      return startEventListener(pool, { handler, onReconnect });
+    },
+
+    // Throws unless the database answers and every migration is applied.
+    async checkReady() {
+      const pending = await unappliedMigrations(pool);
+      if (pending.length) {
+        throw new Error(
+          `Pending migrations: ${pending
+            .map((migration) => `${migration.version}_${migration.name}`)
+            .join(', ')}`
+        );
+      }
+    },
+
+    // ---- Staff accounts ----
+
+    async countStaffUsers() {
+      const { rows } = await pool.query(`SELECT COUNT(*)::int AS count FROM staff_users`);
+      return rows[0].count;
+    },
+
+    async createStaffUser({ username, passwordHash, role }) {
+      await pool.query(
+        `INSERT INTO staff_users (username, password_hash, role)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (username) DO NOTHING`,
+        [username, passwordHash, role]
+      );
+    },
+
+    async findActiveStaffUser(username) {
+      const { rows } = await pool.query(
+        `SELECT * FROM staff_users WHERE username = $1 AND active`,
+        [username]
+      );
+      return rows[0] || null;
+    },
+
+    async findStaffBySession(tokenHash) {
+      const { rows } = await pool.query(
+        `SELECT u.*
+         FROM staff_sessions s
+         JOIN staff_users u ON u.id = s.user_id
+         WHERE s.token_hash = $1 AND s.expires_at > NOW() AND u.active`,
+        [tokenHash]
+      );
+      return rows[0] || null;
+    },
+
+    async createStaffSession({ tokenHash, userId, ttlHours }) {
+      await pool.query(`DELETE FROM staff_sessions WHERE expires_at <= NOW()`);
+      await pool.query(
+        `INSERT INTO staff_sessions (token_hash, user_id, expires_at)
+         VALUES ($1, $2, NOW() + make_interval(hours => $3))`,
+        [tokenHash, userId, ttlHours]
+      );
+      await pool.query(`UPDATE staff_users SET last_login_at = NOW() WHERE id = $1`, [userId]);
+    },
+
+    async deleteStaffSession(tokenHash) {
+      await pool.query(`DELETE FROM staff_sessions WHERE token_hash = $1`, [tokenHash]);
+    },
+
+    // ---- Check-in protection ----
+
+    // Counts one attempt and returns how many seconds the client must wait,
+    // or 0 while it is under `limit`.
+    async consumeRateLimit(bucket, limit, windowSeconds) {
+      const { rows } = await pool.query(
+        `INSERT INTO checkin_rate_limits AS r (bucket, window_started_at, count)
+         VALUES ($1, NOW(), 1)
+         ON CONFLICT (bucket) DO UPDATE
+         SET window_started_at = CASE
+               WHEN r.window_started_at <= NOW() - make_interval(secs => $2) THEN NOW()
+               ELSE r.window_started_at
+             END,
+             count = CASE
+               WHEN r.window_started_at <= NOW() - make_interval(secs => $2) THEN 1
+               ELSE r.count + 1
+             END
+         RETURNING count,
+                   CEIL(EXTRACT(EPOCH FROM
+                     window_started_at + make_interval(secs => $2) - NOW()
+                   ))::int AS retry_after`,
+        [bucket, windowSeconds]
+      );
+
+      return rows[0].count > limit ? Math.max(rows[0].retry_after, 1) : 0;
+    },
+
+    // How long until `bucket` is under `limit` again, without counting a hit.
+    async rateLimitRetryAfter(bucket, limit, windowSeconds) {
+      const { rows } = await pool.query(
+        `SELECT count,
+                CEIL(EXTRACT(EPOCH FROM
+                  window_started_at + make_interval(secs => $2) - NOW()
+                ))::int AS retry_after
+         FROM checkin_rate_limits
+         WHERE bucket = $1 AND window_started_at > NOW() - make_interval(secs => $2)`,
+        [bucket, windowSeconds]
+      );
+
+      return rows[0] && rows[0].count >= limit ? Math.max(rows[0].retry_after, 1) : 0;
+    },
+
+    async pruneRateLimits(windowSeconds) {
+      await pool.query(
+        `DELETE FROM checkin_rate_limits
+         WHERE window_started_at < NOW() - make_interval(secs => $1)`,
+        [windowSeconds]
+      );
+    },
+
+    async findIdempotentCheckin(idempotencyKey) {
+      await pruneIdempotencyKeys();
+      return findIdempotentCheckin(pool, idempotencyKey);
+    },
+
+    // ---- Reads ----
+
+    listQueues: (options) => listQueues(pool, options),
+    getQueueBySlug: (slug) => getQueueBySlug(pool, slug),
+    getOpenSession: () => getOpenSession(pool),
+    getIntakeForm: () => getIntakeForm(pool),
+    getTokenStatus: (token) => getTokenStatus(pool, token),
+    getAllowedPatients: (queue) => getAllowedPatients(pool, queue),
+    countVisits: (patientId) => countVisits(pool, patientId),
+
+    async getSession(id) {
+      const { rows } = await pool.query(`SELECT * FROM clinic_sessions WHERE id = $1`, [id]);
+      return rows[0] || null;
+    },
+
+    async getToken(id) {
+      const { rows } = await pool.query(`SELECT * FROM tokens WHERE id = $1`, [id]);
+      return rows[0] || null;
+    },
+
+    // Returning-patient prefill: only what the kiosk form needs.
+    async findPatient(phoneDigits, birthDate) {
+      const { rows } = await pool.query(
+        `SELECT name, country, sex
+         FROM patients
+         WHERE phone_digits = $1 AND birth_date = $2`,
+        [phoneDigits, birthDate]
+      );
+      return rows[0] || null;
+    },
+
+    // A returning patient and every visit, newest first. Null if unknown.
+    async getPatientVisits(patientId) {
+      const patientRes = await pool.query(
+        `SELECT id, name, country, sex, phone, language,
+                to_char(birth_date, 'YYYY-MM-DD') AS birth_date,
+                created_at, last_visit_at
+         FROM patients
+         WHERE id = $1`,
+        [patientId]
+      );
+
+      if (!patientRes.rows.length) {
+        return null;
+      }
+
+      const { rows: visits } = await pool.query(
+        `SELECT t.id, t.token, t.token_key, t.status, t.details, t.priority,
+                t.created_at, t.admitted_at, t.finished_at, q.name AS queue_name
+         FROM tokens t
+         JOIN queues q ON q.id = t.queue_id
+         WHERE t.patient_id = $1
+         ORDER BY t.created_at DESC, t.id DESC`,
+        [patientId]
+      );
+
+      return { ...patientRes.rows[0], visits };
+    },
+
+    // A token with its status changes and the messages queued for it, oldest
+    // first. Null if unknown.
+    async getTokenHistory(token) {
+      const tokenRes = await pool.query(
+        `SELECT t.id, t.token, t.token_key, t.status, t.created_at, t.admitted_at, t.finished_at
+         FROM tokens t
+         WHERE ${TOKEN_LOOKUP_SQL}`,
+        [normalizeToken(token)]
+      );
+
+      if (!tokenRes.rows.length) {
+        return null;
+      }
+
+      const { rows: events } = await pool.query(
+        `SELECT id, from_status, to_status, source, actor_username, details, created_at
+         FROM token_events
+         WHERE token_id = $1
+         ORDER BY created_at ASC, id ASC`,
+        [tokenRes.rows[0].id]
+      );
+
+      const { rows: notifications } = await pool.query(
+        `SELECT id, kind, channel, status, attempts, last_error, created_at, sent_at
+         FROM notification_outbox
+         WHERE token_id = $1
+         ORDER BY created_at ASC, id ASC`,
+        [tokenRes.rows[0].id]
+      );
+
+      return { ...tokenRes.rows[0], events, notifications };
+    },
+
+    // Tokens of `queues` in `statuses` for the staff list, in check-in order
+    // (`order` asc or desc). Without `from`/`to` (YYYY-MM-DD, inclusive) only
+    // the open session is listed. `search` matches a token exactly, part of a
+    // name, or part of a phone number. Pages of `limit` continue after
+    // `cursor`, the `nextCursor` of the previous page.
+    async listPatients({ queues, statuses, search, from, to, order, cursor, limit }) {
+      const params = [queues.map((queue) => queue.id), statuses];
+      const param = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+      };
+      const conditions = ['t.queue_id = ANY($1::int[])', 't.status = ANY($2::text[])'];
+
+      if (from || to) {
+        if (from) {
+          conditions.push(`t.created_at >= ${param(from)}::date`);
+        }
+        if (to) {
+          conditions.push(`t.created_at < ${param(to)}::date + 1`);
+        }
+      } else {
+        conditions.push(`t.session_id = (SELECT id FROM clinic_sessions WHERE status = 'open')`);
+      }
+
+      if (search) {
+        const tokenParam = param(normalizeToken(search));
+        const matches = [
+          `t.token = ${tokenParam}`,
+          `t.token_key = ${tokenParam}`,
+          `t.name ILIKE ${param(`%${escapeLike(search)}%`)}`,
+        ];
+        const phoneDigits = phoneSearchDigits(search);
+        if (phoneDigits) {
+          const digitsParam = param(`%${phoneDigits}%`);
+          matches.push(`regexp_replace(t.phone, '\\D', '', 'g') LIKE ${digitsParam}`);
+        }
+        conditions.push(`(${matches.join(' OR ')})`);
+      }
+
+      if (cursor) {
+        conditions.push(`t.id ${order === 'desc' ? '<' : '>'} ${param(cursor)}`);
+      }
+
+      const { rows } = await pool.query(
+        `SELECT t.*,
+                CASE
+                  WHEN t.patient_id IS NULL THEN 1
+                  ELSE (SELECT COUNT(*) FROM tokens v WHERE v.patient_id = t.patient_id)
+                END::int AS visit_count
+         FROM tokens t
+         WHERE ${conditions.join('\n           AND ')}
+         ORDER BY t.id ${order === 'desc' ? 'DESC' : 'ASC'}
+         LIMIT ${param(limit + 1)}`,
+        params
+      );
+
+      const patients = rows.slice(0, limit);
+      return {
+        patients,
+        nextCursor: rows.length > limit ? String(patients[patients.length - 1].id) : null,
+      };
+    },
+
+    // Tokens of the open session per queue and status, for /metrics.
+    async countTokensByStatus() {
+      const { rows } = await pool.query(
+        `SELECT q.slug AS queue, t.status, COUNT(*)::int AS count
+         FROM tokens t
+         JOIN queues q ON q.id = t.queue_id
+         WHERE t.session_id = (SELECT id FROM clinic_sessions WHERE status = 'open')
+         GROUP BY q.slug, t.status`
+      );
+      return rows;
+    },
+
+    // Status-page view of every waiting token, with its place in line.
+    async listWaitingStatuses() {
+      const { rows } = await pool.query(
+        `SELECT t.token, t.token_key, t.status, t.created_at, t.admitted_at, t.finished_at,
+                q.name AS queue_name,
+                (ROW_NUMBER() OVER (
+                  PARTITION BY t.queue_id ORDER BY ${waitingOrderSql('t')}
+                ) - 1)::int AS ahead
+         FROM tokens t
+         JOIN queues q ON q.id = t.queue_id
+         WHERE t.status = 'waiting'`
+      );
+      return rows;
+    },
+
+    // ---- Queues and sessions ----
+
+    // `values` as validated by the route. Null when the slug or prefix is
+    // already in use.
+    async createQueue(values) {
+      try {
+        const { rows } = await pool.query(
+          `INSERT INTO queues (slug, name, prefix, capacity, sort_order, active)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING id, slug, name, prefix, capacity, sort_order, active`,
+          [
+            values.slug,
+            values.name,
+            values.prefix,
+            values.capacity,
+            values.sort_order ?? 0,
+            values.active ?? true,
+          ]
+        );
+        return rows[0];
+      } catch (error) {
+        if (error.code === '23505') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    // Sets the validated columns in `values`. Null for an unknown slug.
+    async updateQueue(slug, values) {
+      const columns = Object.keys(values);
+      const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+      const { rows } = await pool.query(
+        `UPDATE queues
+         SET ${assignments.join(', ')}
+         WHERE slug = $1
+         RETURNING id, slug, name, prefix, capacity, sort_order, active`,
+        [String(slug).trim().toLowerCase(), ...columns.map((column) => values[column])]
+      );
+      return rows[0] || null;
+    },
+
+    // The last 30 sessions, newest first, with who opened and closed them and
+    // how their tokens ended.
+    async listSessions() {
+      const { rows } = await pool.query(
+        `SELECT s.id, s.session_key, s.status, s.opened_at, s.closed_at,
+                opener.username AS opened_by, closer.username AS closed_by,
+                COUNT(t.id)::int AS tokens_issued,
+                COUNT(t.id) FILTER (WHERE t.status = 'done')::int AS tokens_done,
+                COUNT(t.id) FILTER (WHERE t.status = 'closed')::int AS tokens_closed
+         FROM clinic_sessions s
+         LEFT JOIN staff_users opener ON opener.id = s.opened_by
+         LEFT JOIN staff_users closer ON closer.id = s.closed_by
+         LEFT JOIN tokens t ON t.session_id = s.id
+         GROUP BY s.id, opener.username, closer.username
+         ORDER BY s.opened_at DESC
+         LIMIT 30`
+      );
+      return rows;
+    },
+
+    // Opens a new session. Returns `{ alreadyOpen }` while one is open, else
+    // `{ session }`.
+    async createSession({ actor }) {
+      const client = await pool.connect();
+
+      try {
+        await client.query('BEGIN');
+
+        if (await getOpenSession(client, { lock: 'UPDATE' })) {
+          await client.query('ROLLBACK');
+          return { alreadyOpen: true };
+        }
+
+        const sessionKey = await nextSessionKey(client);
+        const { rows } = await client.query(
+          `INSERT INTO clinic_sessions (session_key, opened_by)
+           VALUES ($1, $2)
+           RETURNING *`,
+          [sessionKey, actor.id]
+        );
+
+        await publishEvent(client, { type: QUEUE_EVENTS.SESSION_CHANGED, session_id: rows[0].id });
+
+        await client.query('COMMIT');
+
+        return { session: rows[0] };
+      } catch (error) {
+        await client.query('ROLLBACK');
+        // The single-open-session index catches a concurrent open.
+        if (error.code === '23505') {
+          return { alreadyOpen: true };
+        }
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    // Stops or resumes check-in for the open session. Returns the session, or
+    // null when none is open.
+    async setCheckinPaused(paused, message) {
+      const client = await pool.connect();
+
+      try {
+        await client.query('BEGIN');
+
+        const { rows } = await client.query(
+          `UPDATE clinic_sessions
+           SET checkin_paused = $1, checkin_paused_message = $2
+           WHERE status = 'open'
+           RETURNING *`,
+          [paused, message]
+        );
+
+        if (!rows.length) {
+          await client.query('ROLLBACK');
+          return null;
+        }
+
+        await publishEvent(client, { type: QUEUE_EVENTS.SESSION_CHANGED, session_id: rows[0].id });
+
+        await client.query('COMMIT');
+
+        return rows[0];
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    // Closes the open session and marks everyone still waiting or admitted
+    // "closed". Returns `{ session, closed }` (how many were closed), or null
+    // when no session is open.
+    async closeSession({ actor }) {
+      const client = await pool.connect();
+
+      try {
+        await client.query('BEGIN');
+
+        const session = await getOpenSession(client, { lock: 'UPDATE' });
+        if (!session) {
+          await client.query('ROLLBACK');
+          return null;
+        }
+
+        const { rows: closedTokens } = await client.query(
+          `UPDATE tokens t
+           SET status = 'closed', finished_at = NOW()
+           FROM tokens prev
+           WHERE t.id = prev.id
+             AND t.session_id = $1
+             AND t.status IN ('waiting', 'allowed')
+           RETURNING t.id, t.token, t.token_key, prev.status AS from_status`,
+          [session.id]
+        );
+
+        for (const row of closedTokens) {
+          await recordTokenEvent(client, {
+            tokenId: row.id,
+            token: row.token,
+            fromStatus: row.from_status,
+            toStatus: 'closed',
+            source: EVENT_SOURCES.SESSION_CLOSE,
+            actor,
+          });
+        }
+
+        const { rows } = await client.query(
+          `UPDATE clinic_sessions
+           SET status = 'closed', closed_at = NOW(), closed_by = $2
+           WHERE id = $1
+           RETURNING *`,
+          [session.id, actor.id]
+        );
+
+        const publish = (event) => publishEvent(client, event);
+        for (const queue of await listQueues(client, { includeInactive: true })) {
+          await publish({ type: QUEUE_EVENTS.ALLOWED_CHANGED, queue: queue.slug });
+        }
+        await publish({ type: QUEUE_EVENTS.SESSION_CHANGED, session_id: session.id });
+        await publishTokenChanges(publish, closedTokens.map((row) => row.token_key));
+
+        await client.query('COMMIT');
+
+        return { session: rows[0], closed: closedTokens.length };
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    // ---- Queue operations ----
+
+    // Issues the next token in the requested (or default) queue. Returns
+    // `{ replay }` for a repeated Idempotency-Key, `{ rejected, message }`
+    // when check-in is not possible, `{ duplicate, session, queue }` when the
+    // phone already holds a token there, else `{ patient, session, queue }`.
+    async checkin(input) {
+      const client = await pool.connect();
+
+      try {
+        await client.query('BEGIN');
+
+        // Copies of one request arriving together: the later ones wait here
+        // and then find the token the first one created.
+        if (input.idempotencyKey) {
+          await client.query(`SELECT pg_advisory_xact_lock(hashtext($1))`, [
+            `idempotency:${input.idempotencyKey}`,
+          ]);
+          const replay = await findIdempotentCheckin(client, input.idempotencyKey);
+          if (replay) {
+            await client.query('ROLLBACK');
+            return { replay };
+          }
+        }
+
+        const queue = input.queueSlug
+          ? await getQueueBySlug(client, input.queueSlug)
+          : await getDefaultQueue(client);
+
+        if (!queue || !queue.active) {
+          await client.query('ROLLBACK');
+          return { rejected: 'INVALID_QUEUE' };
+        }
+
+        // FOR SHARE keeps the session from being closed under an in-flight check-in.
+        const session = await getOpenSession(client, { lock: 'SHARE' });
+        if (!session) {
+          await client.query('ROLLBACK');
+          return { rejected: 'CHECKIN_CLOSED' };
+        }
+        if (session.checkin_paused) {
+          await client.query('ROLLBACK');
+          return { rejected: 'CHECKIN_PAUSED', message: session.checkin_paused_message };
+        }
+
+        // Serialises check-ins for one phone number so two taps in quick
+        // succession cannot both pass the duplicate check.
+        await client.query(`SELECT pg_advisory_xact_lock(hashtext($1))`, [
+          `checkin:${input.phoneDigits}`,
+        ]);
+
+        const existing = await findActiveToken(client, session, queue, input.phoneDigits);
+        if (existing) {
+          await client.query('ROLLBACK');
+          return { duplicate: existing, session, queue };
+        }
+
+        const number = await nextQueueNumber(client, session, queue);
+        const token = formatToken(queue.prefix, number);
+        const tokenKey = formatTokenKey(session, token);
+
+        const patientId = input.birthDate ? await upsertPatientRecord(client, input) : null;
+
+        const insertRes = await client.query(
+          `INSERT INTO tokens
+             (token, name, age, country, details, status, sex, phone, queue_id, priority,
+              session_id, token_key, language, patient_id, age_band, answers, form_id)
+           VALUES ($1, $2, $3, $4, $5, 'waiting', $6, $7, $8, $9, $10, $11, $12, $13,
+                   token_age_band($3), $14, $15)
+           RETURNING *`,
+          [
+            token,
+            input.name,
+            input.age,
+            input.country,
+            input.details,
+            input.sex,
+            input.phone,
+            queue.id,
+            input.priority,
+            session.id,
+            tokenKey,
+            input.language,
+            patientId,
+            Object.keys(input.answers).length ? JSON.stringify(input.answers) : null,
+            input.formId,
+          ]
+        );
+
+        const inserted = {
+          ...insertRes.rows[0],
+          visit_count: patientId ? await countVisits(client, patientId) : 1,
+        };
+
+        if (input.idempotencyKey) {
+          // An expired key that was not pruned yet is simply reused.
+          await client.query(
+            `INSERT INTO checkin_idempotency_keys (idempotency_key, token_id)
+             VALUES ($1, $2)
+             ON CONFLICT (idempotency_key) DO UPDATE
+             SET token_id = EXCLUDED.token_id, created_at = NOW()`,
+            [input.idempotencyKey, inserted.id]
+          );
+        }
+
+        await recordTokenEvent(client, {
+          tokenId: inserted.id,
+          token: inserted.token,
+          toStatus: 'waiting',
+          source: EVENT_SOURCES.CHECKIN,
+          details: input.priority > 0 ? { priority: PRIORITY_LEVELS[input.priority] } : null,
+        });
+
+        await enqueueNotification(client, NOTIFICATION_KINDS.CHECKIN, inserted, {
+          queue: queue.name,
+        });
+
+        await publishEvent(client, {
+          type: QUEUE_EVENTS.NEW_PATIENT,
+          queue: queue.slug,
+          token_id: inserted.id,
+        });
+        // A prioritised patient jumps ahead of others, moving their positions.
+        if (input.priority > 0) {
+          await publishEvent(client, { type: QUEUE_EVENTS.POSITIONS_CHANGED });
+        }
+
+        await client.query('COMMIT');
+
+        return { patient: inserted, session, queue };
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    // Admits one token. When its queue is at capacity the longest-admitted
+    // patient is finished and listed in `tokensFinished` (CAPACITY_POLICY
+    // evict), or nothing changes and `{ full, queue }` is returned. Returns
+    // `{ notFound }` for unknown or finished tokens.
+    async admit(token, { actor = null, source = EVENT_SOURCES.MANUAL_ADMIT } = {}) {
+      const client = await pool.connect();
+
+      try {
+        await client.query('BEGIN');
+
+        const queueRes = await client.query(
+          `SELECT t.queue_id FROM tokens t WHERE ${TOKEN_LOOKUP_SQL}`,
+          [normalizeToken(token)]
+        );
+        if (!queueRes.rows.length) {
+          await client.query('ROLLBACK');
+          return { notFound: true };
+        }
+        await lockQueueForAdmission(client, queueRes.rows[0].queue_id);
+        const before = await snapshotPositions(client, queueRes.rows[0].queue_id);
+
+        const result = await setPatientAllowed(client, token, { actor, source });
+
+        if (result.notFound || result.full) {
+          await client.query('ROLLBACK');
+          return result;
+        }
+
+        await notifyMovedUp(client, result.queue, before);
+
+        const publish = (event) => publishEvent(client, event);
+        await publishAdmissions(publish, result.queue, result.tokensFinished);
+        await publishTokenChanges(publish, [
+          result.patient.token_key,
+          ...result.tokensFinished.map((finished) => finished.token_key),
+        ]);
+
+        await client.query('COMMIT');
+
+        return result;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    // Admits up to `count` waiting patients of `queue` in waiting order.
+    // Returns them as `admitted`, the patients evicted for them as `evicted`,
+    // and `full` when it stopped early because the queue is at capacity.
+    async admitNext(queue, count, { actor = null } = {}) {
+      const client = await pool.connect();
+
+      try {
+        await client.query('BEGIN');
+        await lockQueueForAdmission(client, queue.id);
+        const before = await snapshotPositions(client, queue.id);
+
+        const waitingRes = await client.query(
+          `SELECT token_key
+           FROM tokens
+           WHERE status = 'waiting' AND queue_id = $1
+           ORDER BY ${waitingOrderSql()}
+           LIMIT $2`,
+          [queue.id, count]
+        );
+
+        if (!waitingRes.rows.length) {
+          await client.query('ROLLBACK');
+          return { admitted: [], evicted: [], full: false };
+        }
+
+        const promoted = [];
+        const finishedTokens = [];
+        let full = false;
+
+        for (const row of waitingRes.rows) {
+          const { patient, tokensFinished, notFound, full: queueFull } = await setPatientAllowed(
+            client,
+            row.token_key,
+            { actor, source: EVENT_SOURCES.BATCH_NEXT }
+          );
+
+          if (queueFull) {
+            full = true;
+            break;
+          }
+          if (!notFound && patient) {
+            promoted.push(patient);
+          }
+          finishedTokens.push(...(tokensFinished || []));
+        }
+
+        if (!promoted.length) {
+          await client.query('ROLLBACK');
+          return { admitted: [], evicted: [], full };
+        }
+
+        await notifyMovedUp(client, queue, before);
+
+        const publish = (event) => publishEvent(client, event);
+        await publishAdmissions(publish, queue, finishedTokens);
+        await publishTokenChanges(publish, [
+          ...promoted.map((patient) => patient.token_key),
+          ...finishedTokens.map((finished) => finished.token_key),
+        ]);
+
+        await client.query('COMMIT');
+
+        return { admitted: promoted, evicted: finishedTokens, full };
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    // Marks a waiting or admitted token done. A token that is already final
+    // is returned unchanged.
+    async remove(token, { actor = null } = {}) {
+      const client = await pool.connect();
+
+      try {
+        await client.query('BEGIN');
+
+        const currentRes = await client.query(
+          `SELECT t.id, t.token, t.token_key, t.status, t.queue_id
+           FROM tokens t
+           WHERE ${TOKEN_LOOKUP_SQL}
+           FOR UPDATE`,
+          [normalizeToken(token)]
+        );
+
+        if (!currentRes.rows.length) {
+          await client.query('ROLLBACK');
+          return { notFound: true };
+        }
+
+        const current = currentRes.rows[0];
+
+        if (FINAL_STATUSES.includes(current.status)) {
+          await client.query('ROLLBACK');
+          return { patient: current };
+        }
+
+        const wasAllowed = current.status === 'allowed';
+        const queue = await getQueueById(client, current.queue_id);
+        // Only a waiting patient leaving moves anyone up.
+        const before = wasAllowed ? null : await snapshotPositions(client, queue.id);
+
+        await client.query(
+          `UPDATE tokens
+           SET status = 'done', finished_at = NOW()
+           WHERE id = $1`,
+          [current.id]
+        );
+
+        await recordTokenEvent(client, {
+          tokenId: current.id,
+          token: current.token,
+          fromStatus: current.status,
+          toStatus: 'done',
+          source: EVENT_SOURCES.MANUAL_REMOVE,
+          actor,
+        });
+        await notifyMovedUp(client, queue, before);
+
+        const publish = (event) => publishEvent(client, event);
+        if (wasAllowed) {
+          await publishAdmissions(publish, queue, [current]);
+        }
+        await publishTokenChanges(publish, [current.token_key]);
+
+        await client.query('COMMIT');
+
+        return { patient: current };
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    // Asks the displays to announce an admitted token again; its status does
+    // not change. Returns `{ notFound }`, `{ notAdmitted }` or `{ patient }`.
+    async recall(token, { actor = null } = {}) {
+      const client = await pool.connect();
+
+      try {
+        await client.query('BEGIN');
+
+        const currentRes = await client.query(
+          `SELECT t.id, t.token, t.token_key, t.status, t.queue_id
+           FROM tokens t
+           WHERE ${TOKEN_LOOKUP_SQL}`,
+          [normalizeToken(token)]
+        );
+
+        if (!currentRes.rows.length) {
+          await client.query('ROLLBACK');
+          return { notFound: true };
+        }
+
+        const current = currentRes.rows[0];
+        if (current.status !== 'allowed') {
+          await client.query('ROLLBACK');
+          return { notAdmitted: true };
+        }
+
+        await recordTokenEvent(client, {
+          tokenId: current.id,
+          token: current.token,
+          fromStatus: current.status,
+          toStatus: current.status,
+          source: EVENT_SOURCES.RECALL,
+          actor,
+        });
+
+        const queue = await getQueueById(client, current.queue_id);
+        await publishEvent(client, {
+          type: QUEUE_EVENTS.ANNOUNCE,
+          queue: queue.slug,
+          token: current.token,
+        });
+
+        await client.query('COMMIT');
+
+        return { patient: current };
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    // Sets the triage level (an index into PRIORITY_LEVELS) of a waiting or
+    // admitted token. Returns `{ notFound }` or `{ patient }`.
+    async setPriority(token, priority, { actor = null } = {}) {
+      const client = await pool.connect();
+
+      try {
+        await client.query('BEGIN');
+
+        const currentRes = await client.query(
+          `SELECT t.id, t.token, t.status, t.priority, t.queue_id
+           FROM tokens t
+           WHERE ${TOKEN_LOOKUP_SQL} AND t.status IN ('waiting', 'allowed')
+           FOR UPDATE`,
+          [normalizeToken(token)]
+        );
+
+        if (!currentRes.rows.length) {
+          await client.query('ROLLBACK');
+          return { notFound: true };
+        }
+
+        const current = currentRes.rows[0];
+        const before = await snapshotPositions(client, current.queue_id);
+
+        const { rows } = await client.query(
+          `UPDATE tokens
+           SET priority = $2
+           WHERE id = $1
+           RETURNING *`,
+          [current.id, priority]
+        );
+
+        if (current.priority !== priority) {
+          await recordTokenEvent(client, {
+            tokenId: current.id,
+            token: current.token,
+            fromStatus: current.status,
+            toStatus: current.status,
+            source: EVENT_SOURCES.PRIORITY_CHANGE,
+            actor,
+            details: {
+              from_priority: PRIORITY_LEVELS[current.priority],
+              to_priority: PRIORITY_LEVELS[priority],
+            },
+          });
+        }
+
+        const patient = rows[0];
+        const queue = await getQueueById(client, patient.queue_id);
+        await notifyMovedUp(client, queue, before);
+
+        await publishEvent(client, {
+          type: QUEUE_EVENTS.PATIENT_UPDATED,
+          queue: queue.slug,
+          token_id: patient.id,
+        });
+        await publishEvent(client, { type: QUEUE_EVENTS.POSITIONS_CHANGED });
+
+        await client.query('COMMIT');
+
+        return { patient };
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    // Finishes every patient admitted more than `minutes` ago, for the
+    // auto_finish capacity policy. Returns `{ token, token_key, queue }` for
+    // each, `queue` being the slug.
+    async autoFinishOverdue(minutes) {
+      const client = await pool.connect();
+
+      try {
+        await client.query('BEGIN');
+
+        const { rows } = await client.query(
+          `UPDATE tokens
+           SET status = 'done', finished_at = NOW()
+           WHERE status = 'allowed' AND admitted_at < NOW() - $1 * INTERVAL '1 minute'
+           RETURNING id, token, token_key, queue_id`,
+          [minutes]
+        );
+
+        if (!rows.length) {
+          await client.query('ROLLBACK');
+          return [];
+        }
+
+        for (const row of rows) {
+          await recordTokenEvent(client, {
+            tokenId: row.id,
+            token: row.token,
+            fromStatus: 'allowed',
+            toStatus: 'done',
+            source: EVENT_SOURCES.AUTO_FINISH,
+            details: { after_minutes: minutes },
+          });
+        }
+
+        const publish = (event) => publishEvent(client, event);
+        const finished = [];
+        for (const queueId of new Set(rows.map((row) => row.queue_id))) {
+          const queue = await getQueueById(client, queueId);
+          const queueRows = rows.filter((row) => row.queue_id === queueId);
+          await publishAdmissions(publish, queue, queueRows);
+          finished.push(
+            ...queueRows.map((row) => ({
+              token: row.token,
+              token_key: row.token_key,
+              queue: queue.slug,
+            }))
+          );
+        }
+        await publishTokenChanges(publish, rows.map((row) => row.token_key));
+
+        await client.query('COMMIT');
+
+        return finished;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+  };
+}
+
+module.exports = {
+  createStorage,
+};
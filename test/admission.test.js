@@ -0,0 +1,149 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const CAPACITY = 2;
+
+// A server with the given CAPACITY_POLICY whose general queue admits two.
+async function startWithPolicy(policy, env = {}) {
+  const app = await startServer({ CAPACITY_POLICY: policy, ...env });
+  const res = await app.patch('/api/queues/general', { capacity: CAPACITY });
+  assert.equal(res.status, 200);
+  return app;
+}
+
+async function checkinMany(app, count) {
+  const tokens = [];
+  for (let i = 0; i < count; i += 1) {
+    tokens.push((await app.checkin()).body.token_key);
+  }
+  return tokens;
+}
+
+async function statusOf(app, tokenKey) {
+  return (await app.request('GET', `/api/status/${tokenKey}`)).body.status;
+}
+
+async function historySources(app, tokenKey) {
+  return (await app.get(`/api/tokens/${tokenKey}/history`)).body.events.map((e) => e.source);
+}
+
+describe('capacity policy: evict', () => {
+  let app;
+
+  before(async () => {
+    app = await startWithPolicy('evict');
+  });
+
+  after(() => app.stop());
+
+  it('finishes the patient admitted longest ago to make room', async () => {
+    const [t1, t2, t3] = await checkinMany(app, 3);
+    assert.equal((await app.post(`/api/admit/${t1}`)).status, 200);
+    assert.equal((await app.post(`/api/admit/${t2}`)).status, 200);
+
+    const res = await app.post(`/api/admit/${t3}`);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.patient.status, 'allowed');
+    assert.deepEqual(
+      res.body.evicted.map((entry) => [entry.token_key, entry.reason]),
+      [[t1, 'capacity_eviction']]
+    );
+    assert.equal(await statusOf(app, t1), 'done');
+    assert.deepEqual(await historySources(app, t1), [
+      'checkin',
+      'manual_admit',
+      'capacity_eviction',
+    ]);
+  });
+
+  it('evicts as many as Admit Next admits', async () => {
+    const allowed = (await app.get('/api/allowed')).body.map((row) => row.token_key);
+    const waiting = await checkinMany(app, 2);
+
+    const res = await app.post('/api/next', { count: 2 });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.admitted, 2);
+    assert.deepEqual(res.body.evicted.map((entry) => entry.token_key).sort(), [...allowed].sort());
+    for (const tokenKey of waiting) {
+      assert.equal(await statusOf(app, tokenKey), 'allowed');
+    }
+  });
+});
+
+describe('capacity policy: reject', () => {
+  let app;
+
+  before(async () => {
+    app = await startWithPolicy('reject');
+  });
+
+  after(() => app.stop());
+
+  it('refuses to admit into a full queue', async () => {
+    const [t1, t2, t3] = await checkinMany(app, 3);
+    await app.post(`/api/admit/${t1}`);
+    await app.post(`/api/admit/${t2}`);
+
+    const res = await app.post(`/api/admit/${t3}`);
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'QUEUE_FULL');
+    assert.equal(await statusOf(app, t1), 'allowed');
+    assert.equal(await statusOf(app, t3), 'waiting');
+
+    const next = await app.post('/api/next', { count: 1 });
+    assert.equal(next.status, 409);
+    assert.equal(next.body.code, 'QUEUE_FULL');
+  });
+
+  it('lets Admit Next fill only the free places', async () => {
+    const allowed = (await app.get('/api/allowed')).body.map((row) => row.token_key);
+    await app.post(`/api/remove/${allowed[0]}`);
+    await checkinMany(app, 2);
+
+    const res = await app.post('/api/next', { count: 3 });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.admitted, 1);
+    assert.deepEqual(res.body.evicted, []);
+    assert.match(res.body.message, /^Admitted 1 of 3: /);
+    assert.equal((await app.get('/api/allowed')).body.length, CAPACITY);
+  });
+});
+
+describe('capacity policy: auto_finish', () => {
+  let app;
+
+  before(async () => {
+    // Visits end 0.6 s after admission; the sweeper runs every 0.1 s.
+    app = await startWithPolicy('auto_finish', {
+      AUTO_FINISH_MINUTES: '0.01',
+      AUTO_FINISH_SWEEP_SECONDS: '0.1',
+    });
+  });
+
+  after(() => app.stop());
+
+  it('refuses while full and frees places once visits run over', async () => {
+    const [t1, t2, t3] = await checkinMany(app, 3);
+    await app.post(`/api/admit/${t1}`);
+    await app.post(`/api/admit/${t2}`);
+
+    const full = await app.post(`/api/admit/${t3}`);
+    assert.equal(full.status, 409);
+    assert.equal(full.body.code, 'QUEUE_FULL');
+    assert.match(full.body.error, /end automatically/);
+
+    const deadline = Date.now() + 5000;
+    while ((await statusOf(app, t1)) !== 'done') {
+      assert.ok(Date.now() < deadline, 'the sweeper did not finish the overdue visit');
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+
+    assert.deepEqual(await historySources(app, t1), ['checkin', 'manual_admit', 'auto_finish']);
+    assert.equal((await app.post(`/api/admit/${t3}`)).status, 200);
+  });
+});
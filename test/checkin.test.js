@@ -0,0 +1,83 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('check-in', () => {
+  let app;
+
+  before(async () => {
+    app = await startServer();
+  });
+
+  after(() => app.stop());
+
+  it('numbers tokens per queue and reports the position', async () => {
+    const first = await app.checkin();
+    const second = await app.checkin();
+
+    assert.equal(first.status, 200);
+    assert.equal(first.body.token, 'T1');
+    assert.equal(second.body.token, 'T2');
+    assert.equal(second.body.token_key, `${second.body.session}-T2`);
+
+    const status = await app.request('GET', `/api/status/${second.body.token_key}`);
+    assert.equal(status.body.status, 'waiting');
+    assert.equal(status.body.ahead, 1);
+  });
+
+  it('triages by age and by urgent words in the details', async () => {
+    const normal = await app.checkin({ age: 40 });
+    const older = await app.checkin({ age: 80 });
+    const urgent = await app.checkin({ details: 'Sudden chest pain' });
+
+    assert.equal(normal.body.patient.priority, 0);
+    assert.equal(older.body.patient.priority, 1);
+    assert.equal(urgent.body.patient.priority, 2);
+
+    // Checked in last, but nobody waits ahead of an urgent patient.
+    const status = await app.request('GET', `/api/status/${urgent.body.token_key}`);
+    assert.equal(status.body.ahead, 0);
+  });
+
+  it('replays a retried check-in with the same Idempotency-Key', async () => {
+    const headers = { 'Idempotency-Key': 'kiosk-retry-0001' };
+    const created = await app.checkin({ name: 'First Try' }, headers);
+    const replayed = await app.checkin({ name: 'Second Try' }, headers);
+
+    assert.equal(created.status, 200);
+    assert.equal(replayed.status, 200);
+    assert.equal(replayed.body.replayed, true);
+    assert.equal(replayed.body.token_key, created.body.token_key);
+    assert.equal(replayed.body.patient, undefined);
+  });
+
+  it('rejects a malformed Idempotency-Key', async () => {
+    const res = await app.checkin({}, { 'Idempotency-Key': 'short' });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'INVALID_IDEMPOTENCY_KEY');
+  });
+
+  it('returns the waiting token for a phone number that is already queued', async () => {
+    const created = await app.checkin({ phone: '+1 (555) 010-2030' });
+    const duplicate = await app.checkin({ phone: '15550102030', name: 'Someone Else' });
+
+    assert.equal(duplicate.status, 200);
+    assert.equal(duplicate.body.duplicate, true);
+    assert.equal(duplicate.body.token_key, created.body.token_key);
+    assert.equal(duplicate.body.patient, undefined);
+
+    // Once the visit is over the same number checks in again.
+    await app.post(`/api/remove/${created.body.token_key}`);
+    const again = await app.checkin({ phone: '15550102030' });
+    assert.equal(again.body.duplicate, undefined);
+    assert.notEqual(again.body.token_key, created.body.token_key);
+  });
+
+  it('rejects a check-in without the required fields', async () => {
+    const res = await app.checkin({ name: '' });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'MISSING_FIELDS');
+  });
+});
@@ -0,0 +1,123 @@
+// Starts server.js in a child process and talks to it over HTTP, so the
+// suites exercise the routes, triage and storage together. STORAGE defaults
+// to memory; each server starts from an empty queue.
+
+const { spawn } = require('node:child_process');
+const net = require('node:net');
+const path = require('node:path');
+
+const STAFF_USER = 'admin';
+const STAFF_PASS = 'test-password';
+const STARTUP_TIMEOUT_MS = 10000;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitUntilReady(baseUrl, child) {
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`Server exited with code ${child.exitCode}`);
+    }
+    try {
+      const res = await fetch(`${baseUrl}/readyz`);
+      if (res.ok) return;
+    } catch (error) {
+      // Not listening yet.
+    }
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  throw new Error(`Server did not become ready within ${STARTUP_TIMEOUT_MS}ms`);
+}
+
+// `env` is added to the server's environment, e.g. { CAPACITY_POLICY: 'reject' }.
+async function startServer(env = {}) {
+  const port = await freePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    cwd: path.join(__dirname, '..'),
+    env: {
+      ...process.env,
+      STORAGE: process.env.STORAGE || 'memory',
+      PORT: String(port),
+      STAFF_USER,
+      STAFF_PASS,
+      CHECKIN_LIMIT_PER_IP: '0',
+      CHECKIN_LIMIT_PER_PHONE: '0',
+      NOTIFY_PROVIDER: 'none',
+      LOG_LEVEL: 'error',
+      ...env,
+    },
+    stdio: ['ignore', 'ignore', 'inherit'],
+  });
+
+  try {
+    await waitUntilReady(baseUrl, child);
+  } catch (error) {
+    child.kill();
+    throw error;
+  }
+
+  const authorization = `Basic ${Buffer.from(`${STAFF_USER}:${STAFF_PASS}`).toString('base64')}`;
+
+  async function request(method, url, { body, staff = false, headers = {} } = {}) {
+    const res = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: {
+        ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+        ...(staff ? { Authorization: authorization } : {}),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    return { status: res.status, body: text ? JSON.parse(text) : null };
+  }
+
+  let phones = 0;
+
+  return {
+    request,
+    // Staff calls authenticate as the bootstrap admin.
+    get: (url, options) => request('GET', url, { staff: true, ...options }),
+    post: (url, body, options) => request('POST', url, { staff: true, body, ...options }),
+    put: (url, body, options) => request('PUT', url, { staff: true, body, ...options }),
+    patch: (url, body, options) => request('PATCH', url, { staff: true, body, ...options }),
+
+    // A valid kiosk check-in; every call gets a new phone number unless one is given.
+    checkin(fields = {}, headers = {}) {
+      phones += 1;
+      return request('POST', '/api/checkin', {
+        headers,
+        body: {
+          name: 'Test Patient',
+          age: 30,
+          country: 'Testland',
+          sex: 'Female',
+          phone: `+1 555 ${String(phones).padStart(7, '0')}`,
+          ...fields,
+        },
+      });
+    },
+
+    async stop() {
+      if (child.exitCode !== null) return;
+      const exited = new Promise((resolve) => child.once('exit', resolve));
+      child.kill();
+      await exited;
+    },
+  };
+}
+
+module.exports = {
+  startServer,
+};
@@ -0,0 +1,67 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('clinic sessions', () => {
+  let app;
+
+  before(async () => {
+    app = await startServer();
+  });
+
+  after(() => app.stop());
+
+  it('pauses and resumes check-in', async () => {
+    const paused = await app.put('/api/sessions/current/checkin', {
+      paused: true,
+      message: 'Back at 2pm',
+    });
+    assert.equal(paused.status, 200);
+
+    const refused = await app.checkin();
+    assert.equal(refused.status, 409);
+    assert.equal(refused.body.code, 'CHECKIN_PAUSED');
+    assert.equal(refused.body.message, 'Back at 2pm');
+
+    await app.put('/api/sessions/current/checkin', { paused: false });
+    const resumed = await app.checkin();
+    assert.equal(resumed.status, 200);
+    await app.post(`/api/remove/${resumed.body.token_key}`);
+  });
+
+  it('closes the queue with the session and numbers the next session from 1', async () => {
+    const { session: first } = (await app.get('/api/sessions/current')).body;
+    const waiting = (await app.checkin()).body.token_key;
+    const admitted = (await app.checkin()).body.token_key;
+    await app.post(`/api/admit/${admitted}`);
+
+    const closed = await app.post('/api/sessions/current/close');
+
+    assert.equal(closed.status, 200);
+    assert.equal(closed.body.closed, 2);
+    assert.equal(closed.body.session.status, 'closed');
+    for (const tokenKey of [waiting, admitted]) {
+      const history = (await app.get(`/api/tokens/${tokenKey}/history`)).body;
+      assert.equal(history.status, 'closed');
+      assert.equal(history.events.at(-1).source, 'session_close');
+    }
+
+    assert.equal((await app.post('/api/sessions/current/close')).status, 409);
+    const refused = await app.checkin();
+    assert.equal(refused.status, 409);
+    assert.equal(refused.body.code, 'CHECKIN_CLOSED');
+
+    const opened = await app.post('/api/sessions');
+    assert.equal(opened.status, 201);
+    assert.equal(opened.body.session.session_key, `${first.session_key}-2`);
+    assert.equal((await app.post('/api/sessions')).status, 409);
+
+    const next = await app.checkin();
+    assert.equal(next.body.token, 'T1');
+    assert.equal(next.body.token_key, `${first.session_key}-2-T1`);
+
+    // A short token means the open session; full keys still find old tokens.
+    assert.equal((await app.request('GET', '/api/status/T1')).body.token_key, next.body.token_key);
+    assert.equal((await app.request('GET', `/api/status/${waiting}`)).body.status, 'closed');
+  });
+});
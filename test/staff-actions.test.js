@@ -0,0 +1,61 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('recall and priority', () => {
+  let app;
+
+  before(async () => {
+    app = await startServer();
+  });
+
+  after(() => app.stop());
+
+  it('recalls only admitted patients, without changing their status', async () => {
+    const tokenKey = (await app.checkin()).body.token_key;
+
+    assert.equal((await app.post('/api/recall/Z999')).status, 404);
+    assert.equal((await app.post(`/api/recall/${tokenKey}`)).status, 409);
+
+    await app.post(`/api/admit/${tokenKey}`);
+    const res = await app.post(`/api/recall/${tokenKey}`);
+
+    assert.equal(res.status, 200);
+    const history = (await app.get(`/api/tokens/${tokenKey}/history`)).body;
+    assert.equal(history.status, 'allowed');
+    assert.equal(history.events.at(-1).source, 'recall');
+    assert.equal(history.events.at(-1).actor_username, 'admin');
+  });
+
+  it('moves a patient up the queue when their priority is raised', async () => {
+    const tokens = [];
+    for (let i = 0; i < 3; i += 1) {
+      tokens.push((await app.checkin()).body.token_key);
+    }
+    const last = tokens.at(-1);
+    assert.equal((await app.request('GET', `/api/status/${last}`)).body.ahead, 2);
+
+    const res = await app.post(`/api/priority/${last}`, { priority: 'urgent' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.patient.priority, 2);
+    assert.equal((await app.request('GET', `/api/status/${last}`)).body.ahead, 0);
+    assert.equal((await app.request('GET', `/api/status/${tokens[0]}`)).body.ahead, 1);
+
+    const history = (await app.get(`/api/tokens/${last}/history`)).body;
+    assert.equal(history.events.at(-1).source, 'priority_change');
+
+    // Admit Next follows the same order.
+    await app.post('/api/next', { count: 1 });
+    assert.equal((await app.request('GET', `/api/status/${last}`)).body.status, 'allowed');
+    assert.equal((await app.request('GET', `/api/status/${tokens[0]}`)).body.status, 'waiting');
+  });
+
+  it('rejects an unknown priority or token', async () => {
+    const tokenKey = (await app.checkin()).body.token_key;
+
+    const invalid = await app.post(`/api/priority/${tokenKey}`, { priority: 'critical' });
+    assert.equal(invalid.status, 400);
+    assert.equal((await app.post('/api/priority/Z999', { priority: 'high' })).status, 404);
+  });
+});
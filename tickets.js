@@ -0,0 +1,115 @@
+// Printed queue tickets. The kiosk prints /ticket.html through the browser;
+// a thermal receipt printer takes the same ticket as raw ESC/POS bytes. The
+// QR code on both links to the token's public status page.
+
+const QRCode = require('qrcode');
+
+const CLINIC_NAME = (process.env.CLINIC_NAME || 'Clinic').trim();
+// Same setting the SMS links use. Without it, links point at the host the
+// request came in on, but only if that host is listed in TICKET_HOSTS: the
+// Host header is client-supplied and the link ends up on a printed ticket.
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').trim().replace(/\/+$/, '');
+const TICKET_HOSTS = (process.env.TICKET_HOSTS || '')
+  .split(',')
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+// Dots per QR module on the receipt printer (ESC/POS allows 1-16).
+const ESCPOS_QR_MODULE_SIZE = Math.min(
+  Math.max(parseInt(process.env.ESCPOS_QR_MODULE_SIZE || '6', 10) || 6, 1),
+  16
+);
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+function ticketLinksConfigured() {
+  return Boolean(PUBLIC_BASE_URL || TICKET_HOSTS.length);
+}
+
+// null when there is no trusted base URL to put on a ticket.
+function baseUrlFor(req) {
+  if (PUBLIC_BASE_URL) return PUBLIC_BASE_URL;
+  const host = (req.get('host') || '').toLowerCase();
+  return TICKET_HOSTS.includes(host) ? `${req.protocol}://${host}` : null;
+}
+
+// `status` as returned by storage.getTokenStatus(). Only what is printed on
+// the ticket: no patient details, since anyone holding it can look it up.
+function buildTicket(status, baseUrl) {
+  const key = encodeURIComponent(status.token_key);
+  return {
+    token: status.token,
+    token_key: status.token_key,
+    clinic: CLINIC_NAME,
+    queue: status.queue_name,
+    checked_in_at: status.created_at,
+    status_url: `${baseUrl}/status.html?token=${key}`,
+    print_url: `${baseUrl}/ticket.html?token=${key}`,
+    escpos_url: `${baseUrl}/api/tickets/${key}/escpos`,
+  };
+}
+
+function renderQrSvg(ticket) {
+  return QRCode.toString(ticket.status_url, { type: 'svg', margin: 0, errorCorrectionLevel: 'M' });
+}
+
+function formatCheckinTime(value) {
+  const date = new Date(value);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} `
+    + `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Receipt printers default to a single-byte code page; anything outside
+// printable ASCII would come out as garbage, so it is replaced.
+function escposText(text) {
+  return Buffer.from(String(text).replace(/[^\x20-\x7e]/g, '?'), 'latin1');
+}
+
+// GS ( k: the printer draws the QR code itself from the stored data.
+function escposQrCode(data) {
+  const payload = escposText(data);
+  const storeLength = payload.length + 3;
+  return Buffer.concat([
+    Buffer.from([GS, 0x28, 0x6b, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00]), // model 2
+    Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x43, ESCPOS_QR_MODULE_SIZE]),
+    Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x45, 0x31]), // error correction M
+    Buffer.from([GS, 0x28, 0x6b, storeLength & 0xff, storeLength >> 8, 0x31, 0x50, 0x30]),
+    payload,
+    Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x51, 0x30]), // print
+  ]);
+}
+
+function renderEscPos(ticket, { reprint = false } = {}) {
+  const line = (text) => Buffer.concat([escposText(text), Buffer.from('\n')]);
+  return Buffer.concat([
+    Buffer.from([ESC, 0x40]), // initialise
+    Buffer.from([ESC, 0x61, 0x01]), // centre
+    Buffer.from([ESC, 0x45, 0x01]), // bold
+    line(ticket.clinic),
+    Buffer.from([ESC, 0x45, 0x00]),
+    line(ticket.queue),
+    line(''),
+    Buffer.from([GS, 0x21, 0x33]), // quadruple width and height
+    line(ticket.token),
+    Buffer.from([GS, 0x21, 0x00]),
+    line(''),
+    line(`Checked in ${formatCheckinTime(ticket.checked_in_at)}`),
+    reprint ? line('REPRINT') : Buffer.alloc(0),
+    line(''),
+    escposQrCode(ticket.status_url),
+    line(''),
+    line('Scan to follow your place in the queue'),
+    Buffer.from([ESC, 0x64, 0x04]), // feed 4 lines
+    Buffer.from([GS, 0x56, 0x42, 0x00]), // feed and partial cut
+  ]);
+}
+
+module.exports = {
+  CLINIC_NAME,
+  ticketLinksConfigured,
+  baseUrlFor,
+  buildTicket,
+  renderQrSvg,
+  renderEscPos,
+};